@@ -0,0 +1,2572 @@
+(function(root, factory){
+  const core = factory(root);
+  if (typeof module === 'object' && module.exports) module.exports = core;
+  else root.InterestKitCore = core;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(root){
+  'use strict';
+
+  // InterestKit core: profile storage, rules, scoring, affinity, event log,
+  // thresholds and recommendations. No DOM: interest-kit.js layers element
+  // wiring, observers, consent and destinations on top of it in the browser,
+  // and it loads as-is in Node to replay exported profiles or test the math.
+  //   const { createCore } = require('./interest-kit-core.js');
+  //   const kit = createCore({ now: () => Date.parse('2024-05-01'), config: { storageFlushMs: 0 } });
+  //   kit.import(JSON.parse(fs.readFileSync('profile.json', 'utf8')));
+  //   kit.getTopByAffinity('items', 5); kit.recommend({ n: 3 });
+  // createCore(options): options.now is the clock (ms), options.config the
+  // config (see DEFAULT_CONFIG), config.storage a backend (memory by default).
+
+  const DEFAULT_CONFIG = {
+    storageKey: 'interestkit:data',
+    storage: null, // backend { getItem, setItem, removeItem }; defaults to memory
+    rules: [], // user rules, applied on top of DEFAULT_RULES (see setRules/addRule)
+    thresholds: [], // addThreshold() specs registered on init
+    segments: [], // audience definitions (see setSegments)
+    experimentConfidence: 0.95, // getExperimentReport marks a variant significant at this level
+    goals: [], // conversion goals { id, label, value } (see setGoals); data-track-goal declares more
+    funnels: [], // ordered step definitions (see setFunnels)
+    tokenStopWords: new Set(['the','and','for','with','to','of','a','in','on','by','or','at','is','it','how','make','your','you','from']),
+    affinityHalfLifeMs: 1000 * 60 * 60 * 24 * 7, // 7 days
+    storageFlushMs: 1000, // max delay before coalesced profile writes hit the backend
+    recommendWeights: { category: 1, tag: 0.5, search: 0.75, counter: 0.25 }, // counter: scale for raw linked/search counts vs affinity
+    eventLog: false, // opt-in raw event timeline (getEvents/getSessions)
+    eventLogMax: 1000, // oldest events are dropped beyond this
+    sessionTimeoutMs: 1000 * 60 * 30, // inactivity gap that starts a new session
+    search: {
+      sessionGapMs: 1000 * 60, // queries closer together than this are refinements within one query session
+      attributionMs: 1000 * 60 * 5, // a tracked click this soon after a search is credited to its last query
+      stemming: true, // strip plural/-ing/-ed suffixes from search tokens
+      synonyms: {}, // { canonical: ['variant', ...] }: variants are recorded and matched as the canonical term
+      maxSessions: 100,
+      maxQueries: 500 // least recently searched queries are dropped beyond this
+    },
+    retention: {
+      maxKeysPerBucket: 500, // lowest-scoring keys beyond this are evicted
+      ttlDays: 180, // keys, events and queries not seen for this long are dropped
+      minAffinity: null, // e.g. 0.05: drop keys whose decayed affinity fell below it (a 7-day half-life gets there in ~30 days)
+      maxBytes: 256 * 1024, // budget for the serialized profile (approximate: string length)
+      intervalMs: 0 // periodic compact(), e.g. 1000 * 60 * 60; off by default (the limits above are still checked on load and after each write)
+    },
+    redaction: {
+      enabled: true, // scrub keys, queries and meta before they are stored or sent
+      email: true,
+      phone: true, // +country or (area) numbers, 10-15 digit runs, 0... or 555-123-4567 style groups
+      card: true, // 13-19 digits, unbroken or grouped like a card, that pass the Luhn check
+      patterns: [], // extra RegExps (or regex source strings); matches become [redacted]
+      allow: [], // detector matches equal to a string (case-insensitive) or matching a RegExp are kept, e.g. the support line
+      deny: [] // values equal to a string or matching a RegExp anywhere are dropped, not recorded
+    },
+    attribution: {
+      model: 'last-touch', // getAttribution default: 'first-touch' | 'last-touch' | 'linear' | 'time-decay'
+      buckets: ['items'], // records into these buckets are touchpoints, as are searches
+      lookbackDays: 7, // touches older than this at conversion time get no credit
+      halfLifeMs: 1000 * 60 * 60 * 24, // time-decay: a touch this much older than another gets half its credit
+      maxTouches: 10, // most recent touches kept (and credited) per conversion
+      maxConversions: 100 // oldest conversion paths are dropped beyond this; goal totals are kept
+    }
+  };
+
+  // Weight/bucket rules. A rule matches on type and event ('*' for any) and
+  // optionally the item id; fields from more specific matches override less
+  // specific ones. Element attributes (data-track-weight/-bucket) still win.
+  const DEFAULT_RULES = [
+    { type: '*', event: '*', weight: 1 },
+    { type: '*', event: 'input', weight: 0.5 },
+    { type: 'recipe', event: 'click', weight: 3 },
+    { type: 'recipe', event: 'view', weight: 2 },
+    { type: 'recipe', event: 'dwell', weight: 1.5 }, // per dwell.unitMs of reading
+    { type: 'video', event: 'click', weight: 2 }
+  ];
+  const RULE_FIELDS = ['weight', 'bucket', 'cap', 'cooldownMs', 'transform'];
+  const KNOWN_EVENTS = ['*', 'click', 'view', 'hover', 'change', 'input', 'submit', 'dwell'];
+  // Config keys holding option groups rather than single values (dwell and delivery are browser-only)
+  const NESTED_CONFIG = ['search', 'retention', 'attribution', 'redaction', 'recommendWeights', 'dwell', 'delivery'];
+  const KIT_EVENTS = ['record', 'affinityChange', 'thresholdCrossed', 'reset', 'import', 'storageError', 'consent', 'change', 'sync', 'search', 'searchClick', 'segmentChange', 'compact', 'identify', 'exposure', 'conversion', 'funnelStep', 'redaction'];
+
+  const KEY_TRANSFORMS = {
+    lowercase: k => k.toLowerCase(),
+    uppercase: k => k.toUpperCase(),
+    trim: k => k.trim(),
+    slug: k => k.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  };
+
+  // Stored profile schema. Bump SCHEMA_VERSION and add MIGRATIONS[oldVersion]
+  // returning the next version's shape; profiles are upgraded step by step on load.
+  const SCHEMA_VERSION = 10;
+  const MIGRATIONS = {
+    // v1 scoped profiles by document.title and reset them whenever the title differed
+    1(obj, ctx){
+      delete obj.siteTitle;
+      obj.scope = ctx.scope;
+      return obj;
+    },
+    // v3 adds the raw event log and the session it is segmented by
+    2(obj){
+      obj.events = Array.isArray(obj.events) ? obj.events : [];
+      obj.session = obj.session || null;
+      return obj;
+    },
+    // v4 adds query sessions and per-query stats (trackSearch)
+    3(obj){
+      obj.searches = createSearches();
+      return obj;
+    },
+    // v5 remembers segment membership so changes fire once, not on every load
+    4(obj){
+      obj.segments = {};
+      return obj;
+    },
+    // v6 replaces the borrowed Salesforce sessionId with InterestKit's own identity
+    5(obj){
+      delete obj.sessionId;
+      obj.identity = null;
+      return obj;
+    },
+    // v7 adds experiment assignments, exposures and conversions
+    6(obj){
+      obj.experiments = {};
+      return obj;
+    },
+    // v8 adds goal totals, conversion paths for attribution and funnel progress
+    7(obj){
+      obj.goals = createGoals();
+      return obj;
+    },
+    // v9 adds redaction counts for auditing
+    8(obj){
+      obj.redactions = createRedactions();
+      return obj;
+    },
+    // v10 scrubs what was stored before redaction existed
+    9(obj, ctx){
+      return redactProfile(obj, ctx.redaction || DEFAULT_CONFIG.redaction, ctx.now ? ctx.now() : now());
+    }
+  };
+
+  // Segment conditions. Exactly one of key/category/tag; category/tag sum the metric
+  // over the bucket's items in that category/tag (catalog first, then recorded meta).
+  const SEGMENT_METRICS = ['affinity', 'count', 'clicks', 'dwellMs'];
+  const SEGMENT_TARGETS = ['key', 'category', 'tag'];
+
+  // Funnel steps match a conversion ({ goal }) or a recorded interaction by any of these fields
+  const STEP_FIELDS = ['event', 'type', 'bucket', 'key', 'category'];
+  const ATTRIBUTION_MODELS = ['first-touch', 'last-touch', 'linear', 'time-decay'];
+
+  function migrate(obj, ctx){
+    let version = toNumber(obj.version, 1);
+    if (version > SCHEMA_VERSION) {
+      console.warn('InterestKit: stored profile has schema v' + version + ', newer than v' + SCHEMA_VERSION + '; using it as-is');
+      return obj;
+    }
+    while (version < SCHEMA_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) throw new Error('InterestKit: no migration from schema v' + version);
+      obj = step(obj, ctx) || obj;
+      obj.version = ++version;
+    }
+    return obj;
+  }
+
+  const DEFAULT_BUCKETS = {
+    recipe: 'items',
+    category: 'items',
+    video: 'items',
+    diet: 'items',
+    search: 'items',
+    section: 'items',
+    action: 'items',
+    tag: 'items',
+    game: 'items',
+    trailer: 'items',
+    favorite: 'items',
+    page: 'pages'
+  };
+
+  function now(){ return Date.now(); }
+  function clamp(n, min, max){ return Math.max(min, Math.min(max, n)); }
+  function toNumber(n, fallback){ const x = Number(n); return Number.isFinite(x) ? x : (fallback ?? 1); }
+  function splitList(str){ return String(str || '').split(/[|,]/).map(s=>s.trim()).filter(Boolean); }
+  function tokenize(value, stop){
+    return String(value || '').toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(t => t && t.length > 1 && !stop.has(t));
+  }
+  function round2(n){ return Math.round((Number(n)||0) * 100) / 100; }
+  function uid(){ return now().toString(36) + '-' + Math.random().toString(36).slice(2, 10); }
+
+  function createData(scope, t){
+    return { version: SCHEMA_VERSION, scope: scope || 'site', updatedAt: t || now(), buckets: {}, meta: {}, events: [], session: null, identity: null, searches: createSearches(), segments: {}, experiments: {}, goals: createGoals(), redactions: createRedactions() };
+  }
+  function createSearches(){ return { queries: {}, sessions: [] }; }
+  function createGoals(){ return { totals: {}, touches: [], conversions: [], funnels: {} }; }
+  function createRedactions(){ return { counts: {}, fields: {}, lastAt: null }; }
+
+  // Light suffix stripping so "noodles"/"noodle" and "grilled"/"grilling" meet
+  function stem(tok){
+    if (tok.length <= 3 || /\d/.test(tok)) return tok;
+    if (/ies$/.test(tok) && tok.length > 4) return tok.slice(0, -3) + 'y';
+    if (/(sses|xes|ches|shes|oes)$/.test(tok)) return tok.slice(0, -2);
+    if (/[^su]s$/.test(tok)) return tok.slice(0, -1);
+    if (/ing$/.test(tok) && tok.length > 5) return undouble(tok.slice(0, -3));
+    if (/ed$/.test(tok) && tok.length > 4) return undouble(tok.slice(0, -2));
+    return tok;
+  }
+  function undouble(tok){ return /([^aeiouls])\1$/.test(tok) ? tok.slice(0, -1) : tok; }
+  function normalizeQuery(q){ return String(q == null ? '' : q).toLowerCase().replace(/\s+/g, ' ').trim(); }
+
+  function isQuotaError(e){
+    return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
+  }
+
+  // Storage backends: { name, getItem(key), setItem(key, value), removeItem(key) }.
+  // Methods may return promises (IndexedDB); InterestStorage handles both.
+  function MemoryBackend(){
+    const map = new Map();
+    return {
+      name: 'memory',
+      getItem(key){ return map.has(key) ? map.get(key) : null; },
+      setItem(key, value){ map.set(key, String(value)); },
+      removeItem(key){ map.delete(key); }
+    };
+  }
+
+  // Meta fields that count things and therefore add up across tabs
+  const ADDITIVE_META = ['clicks', 'dwellMs'];
+
+  function clone(obj){ return JSON.parse(JSON.stringify(obj)); }
+  function eventSig(e){ return [e.ts, e.event, e.bucket, e.key, e.sessionId].join('|'); }
+
+  // Three-way merge of a profile: `base` is what this tab last synced, `local`
+  // is base plus this tab's changes, `remote` is what another tab stored since.
+  // Counters add up, affinities combine by decaying both sides to the newer
+  // timestamp, *At timestamps take the max, anything else: local change wins.
+  function mergeProfiles(base, local, remote, decay){
+    const out = clone(remote);
+    // Keys this tab removed (compact, retention) stay removed unless the other side touched them since
+    const entry = (data, b, k) => JSON.stringify([(data.buckets[b] || {})[k], (data.meta[b] || {})[k]]);
+    ['buckets', 'meta'].forEach(field => {
+      Object.keys(base[field]).forEach(b => {
+        const lb = local[field][b] || {}, ob = out[field][b];
+        if (!ob) return;
+        Object.keys(base[field][b]).forEach(k => {
+          if (k in lb || !(k in ob)) return;
+          if (entry(remote, b, k) === entry(base, b, k)) delete ob[k];
+        });
+      });
+    });
+    Object.keys(local.buckets).forEach(b => {
+      const lb = local.buckets[b], bb = base.buckets[b] || {}, ob = (out.buckets[b] || (out.buckets[b] = {}));
+      Object.keys(lb).forEach(k => {
+        const delta = lb[k] - (bb[k] || 0);
+        if (delta) ob[k] = (ob[k] || 0) + delta;
+      });
+    });
+    Object.keys(local.meta).forEach(b => {
+      const lm = local.meta[b], bm = base.meta[b] || {}, om = (out.meta[b] || (out.meta[b] = {}));
+      Object.keys(lm).forEach(k => {
+        const l = lm[k], bs = bm[k] || {}, r = om[k] || {};
+        const m = Object.assign({}, r);
+        Object.keys(l).forEach(f => {
+          if (f === 'affinity' || f === 'affinityUpdatedAt') return;
+          if (JSON.stringify(l[f]) === JSON.stringify(bs[f])) return; // not changed in this tab
+          if (ADDITIVE_META.includes(f)) m[f] = (r[f] || 0) + (l[f] - (bs[f] || 0));
+          else if (/At$/.test(f)) m[f] = Math.max(r[f] || 0, l[f] || 0);
+          else m[f] = l[f];
+        });
+        if (l.affinityUpdatedAt && l.affinityUpdatedAt !== bs.affinityUpdatedAt) {
+          const at = l.affinityUpdatedAt;
+          const gained = (l.affinity || 0) - decay(bs.affinity || 0, bs.affinityUpdatedAt || at, at); // this tab's contribution
+          const t = Math.max(at, r.affinityUpdatedAt || 0);
+          m.affinity = round2(decay(r.affinity || 0, r.affinityUpdatedAt || t, t) + decay(gained, at, t));
+          m.affinityUpdatedAt = t;
+        }
+        om[k] = m;
+      });
+    });
+    const kept = new Set(local.events.map(eventSig));
+    const dropped = new Set(base.events.map(eventSig).filter(sig => !kept.has(sig)));
+    out.events = out.events.filter(e => !dropped.has(eventSig(e)));
+    const seen = new Set(out.events.map(eventSig));
+    const known = new Set(base.events.map(eventSig));
+    local.events.forEach(e => { if (!known.has(eventSig(e)) && !seen.has(eventSig(e))) out.events.push(e); });
+    out.events.sort((a,b)=>a.ts-b.ts);
+    if (local.session && (!out.session || local.session.lastEventAt > out.session.lastEventAt)) out.session = local.session;
+    if (local.goals) out.goals = mergeGoals(base.goals || createGoals(), local.goals, out.goals || createGoals());
+    if (local.redactions) {
+      const b = base.redactions || createRedactions(), r = out.redactions || createRedactions();
+      out.redactions = { counts: addDeltas(b.counts, local.redactions.counts, r.counts), fields: addDeltas(b.fields, local.redactions.fields, r.fields), lastAt: Math.max(r.lastAt || 0, local.redactions.lastAt || 0) || null };
+    }
+    Object.keys(local).forEach(f => {
+      if (['buckets', 'meta', 'events', 'session', 'goals', 'redactions', 'updatedAt', 'rev'].includes(f)) return;
+      if (JSON.stringify(local[f]) !== JSON.stringify(base[f])) out[f] = local[f];
+    });
+    // The device's anonymous id is whichever one was stored first
+    if (out.identity && remote.identity && remote.identity.anonymousId) out.identity = Object.assign({}, out.identity, { anonymousId: remote.identity.anonymousId });
+    return out;
+  }
+
+  // { name: count } maps changed on two sides: remote plus what local added since base
+  function addDeltas(base, local, remote){
+    const out = Object.assign({}, remote);
+    Object.keys(local || {}).forEach(k => {
+      const delta = local[k] - ((base || {})[k] || 0);
+      if (delta) out[k] = (out[k] || 0) + delta;
+    });
+    return out;
+  }
+
+  // Two-way merge for import(..., { mode: 'merge' }). There is no common base as between tabs:
+  // counters and totals add up, events, searches, touches and conversions are unions, funnel
+  // counts add up, and this browser keeps its session, in-progress funnels and descriptive meta.
+  function mergeImported(local, incoming, decay){
+    const out = clone(local);
+    const sum = (a, b) => (a || 0) + (b || 0);
+    Object.keys(incoming.buckets).forEach(b => {
+      const ob = out.buckets[b] || (out.buckets[b] = {});
+      Object.keys(incoming.buckets[b]).forEach(k => { ob[k] = sum(ob[k], incoming.buckets[b][k]); });
+    });
+    Object.keys(incoming.meta).forEach(b => {
+      const om = out.meta[b] || (out.meta[b] = {});
+      Object.keys(incoming.meta[b]).forEach(k => {
+        const i = incoming.meta[b][k], l = om[k] || {};
+        const m = Object.assign({}, i, l);
+        Object.keys(i).forEach(f => {
+          if (ADDITIVE_META.includes(f)) m[f] = sum(l[f], i[f]);
+          else if (/At$/.test(f)) m[f] = Math.max(l[f] || 0, i[f] || 0);
+        });
+        if (i.affinity != null && l.affinity != null) {
+          const t = Math.max(l.affinityUpdatedAt || 0, i.affinityUpdatedAt || 0);
+          m.affinity = round2(decay(l.affinity, l.affinityUpdatedAt || t, t) + decay(i.affinity, i.affinityUpdatedAt || t, t));
+        }
+        om[k] = m;
+      });
+    });
+    const seen = new Set(out.events.map(eventSig));
+    incoming.events.forEach(e => { if (!seen.has(eventSig(e))) out.events.push(e); });
+    out.events.sort((a,b)=>a.ts-b.ts);
+
+    const ls = out.searches || (out.searches = createSearches()), is = incoming.searches || createSearches();
+    Object.keys(is.queries || {}).forEach(q => {
+      const a = ls.queries[q], b = is.queries[q];
+      if (!a) { ls.queries[q] = b; return; }
+      ls.queries[q] = Object.assign({}, a, {
+        count: sum(a.count, b.count),
+        zeroResults: sum(a.zeroResults, b.zeroResults),
+        clicks: sum(a.clicks, b.clicks),
+        results: b.lastAt > a.lastAt ? b.results : a.results,
+        firstAt: Math.min(a.firstAt, b.firstAt),
+        lastAt: Math.max(a.lastAt, b.lastAt)
+      });
+    });
+    const sessionIds = new Set(ls.sessions.map(x => x.id));
+    (is.sessions || []).forEach(x => { if (!sessionIds.has(x.id)) ls.sessions.push(x); });
+    ls.sessions.sort((a,b)=>a.startedAt-b.startedAt);
+
+    const lg = out.goals || (out.goals = createGoals()), ig = incoming.goals || createGoals();
+    Object.keys(ig.totals || {}).forEach(g => {
+      const a = lg.totals[g], b = ig.totals[g];
+      lg.totals[g] = !a ? b : { count: a.count + b.count, value: round2(a.value + b.value), firstAt: Math.min(a.firstAt, b.firstAt), lastAt: Math.max(a.lastAt, b.lastAt) };
+    });
+    const union = (mine, theirs, sig, at) => {
+      const known = new Set(mine.map(sig));
+      return mine.concat(theirs.filter(x => !known.has(sig(x)))).sort((a,b)=>at(a)-at(b));
+    };
+    lg.conversions = union(lg.conversions, ig.conversions || [], c => c.goal + '|' + c.at + '|' + c.value, c => c.at);
+    lg.touches = union(lg.touches, ig.touches || [], x => [x.kind, x.bucket, x.key, x.at].join('|'), x => x.at);
+    Object.keys(ig.funnels || {}).forEach(id => {
+      const a = lg.funnels[id], b = ig.funnels[id];
+      const reached = (b.reached || []).map((n, i) => sum(n, a && a.reached[i]));
+      if (a) (a.reached || []).forEach((n, i) => { if (i >= reached.length) reached[i] = n; });
+      lg.funnels[id] = a
+        ? Object.assign({}, a, { reached, completions: sum(a.completions, b.completions) })
+        : { step: 0, startedAt: null, lastAt: b.lastAt, reached, completions: b.completions || 0 };
+    });
+
+    if (incoming.redactions) {
+      const r = out.redactions || createRedactions();
+      out.redactions = { counts: addDeltas({}, incoming.redactions.counts, r.counts), fields: addDeltas({}, incoming.redactions.fields, r.fields), lastAt: Math.max(r.lastAt || 0, incoming.redactions.lastAt || 0) || null };
+    }
+    return out;
+  }
+
+  // Goal totals add up like counters, conversion paths are a union; touches and funnel
+  // progress describe one tab's journey, so the local side wins when it changed
+  function mergeGoals(base, local, remote){
+    const out = clone(remote);
+    Object.keys(local.totals || {}).forEach(g => {
+      const l = local.totals[g], b = (base.totals || {})[g] || { count: 0, value: 0 }, r = out.totals[g];
+      if (l.count === b.count) return;
+      out.totals[g] = {
+        count: (r ? r.count : 0) + l.count - b.count,
+        value: round2((r ? r.value : 0) + l.value - b.value),
+        firstAt: Math.min(r ? r.firstAt : Infinity, l.firstAt),
+        lastAt: Math.max(r ? r.lastAt : 0, l.lastAt)
+      };
+    });
+    const sig = c => c.goal + '|' + c.at + '|' + c.value;
+    const kept = new Set((local.conversions || []).map(sig));
+    const dropped = new Set((base.conversions || []).map(sig).filter(k => !kept.has(k)));
+    out.conversions = out.conversions.filter(c => !dropped.has(sig(c)));
+    const seen = new Set(out.conversions.map(sig));
+    (local.conversions || []).forEach(c => { if (!seen.has(sig(c))) out.conversions.push(c); });
+    out.conversions.sort((a,b)=>a.at-b.at);
+    ['touches', 'funnels'].forEach(f => {
+      if (JSON.stringify(local[f]) !== JSON.stringify(base[f])) out[f] = local[f];
+    });
+    return out;
+  }
+
+  // Readable problems with a profile about to be imported; empty when it is usable
+  function validateProfile(obj){
+    const errors = [];
+    const isMap = v => !!v && typeof v === 'object' && !Array.isArray(v);
+    const show = v => { const j = JSON.stringify(v); return j && j.length > 40 ? j.slice(0, 37) + '...' : j; };
+    if (!isMap(obj)) return ['profile must be a JSON object (got ' + (Array.isArray(obj) ? 'an array' : typeof obj) + ')'];
+    if (obj.version != null) {
+      if (!Number.isInteger(obj.version) || obj.version < 1) errors.push('version must be a positive integer (got ' + show(obj.version) + ')');
+      else if (obj.version > SCHEMA_VERSION) errors.push('version ' + obj.version + ' is newer than this InterestKit (schema v' + SCHEMA_VERSION + ')');
+    }
+    if (!isMap(obj.buckets)) errors.push('buckets must be an object of { key: count } maps');
+    else Object.keys(obj.buckets).forEach(b => {
+      if (!isMap(obj.buckets[b])) return errors.push('buckets.' + b + ' must be an object (got ' + show(obj.buckets[b]) + ')');
+      Object.keys(obj.buckets[b]).forEach(k => {
+        const v = obj.buckets[b][k];
+        if (!Number.isFinite(v)) errors.push('buckets.' + b + '["' + k + '"] must be a number (got ' + show(v) + ')');
+      });
+    });
+    if (obj.meta != null) {
+      if (!isMap(obj.meta)) errors.push('meta must be an object');
+      else Object.keys(obj.meta).forEach(b => {
+        if (!isMap(obj.meta[b])) return errors.push('meta.' + b + ' must be an object');
+        Object.keys(obj.meta[b]).forEach(k => {
+          const m = obj.meta[b][k];
+          if (!isMap(m)) return errors.push('meta.' + b + '["' + k + '"] must be an object');
+          ['affinity', 'affinityUpdatedAt', 'clicks', 'dwellMs', 'lastSeenAt', 'lastClickAt'].forEach(f => {
+            if (m[f] != null && !Number.isFinite(m[f])) errors.push('meta.' + b + '["' + k + '"].' + f + ' must be a number (got ' + show(m[f]) + ')');
+          });
+        });
+      });
+    }
+    if (obj.events != null) {
+      if (!Array.isArray(obj.events)) errors.push('events must be an array');
+      else obj.events.forEach((e, i) => {
+        if (!isMap(e) || !Number.isFinite(e.ts) || typeof e.bucket !== 'string' || typeof e.key !== 'string') errors.push('events[' + i + '] needs a numeric ts and string bucket/key');
+      });
+    }
+    if (obj.searches != null && (!isMap(obj.searches) || !isMap(obj.searches.queries || {}) || !Array.isArray(obj.searches.sessions || []))) {
+      errors.push('searches must be { queries: {}, sessions: [] }');
+    }
+    if (obj.experiments != null && !isMap(obj.experiments)) errors.push('experiments must be an object of { name: assignment } entries');
+    if (obj.goals != null && (!isMap(obj.goals) || !isMap(obj.goals.totals || {}) || !Array.isArray(obj.goals.touches || []) || !Array.isArray(obj.goals.conversions || []))) {
+      errors.push('goals must be { totals: {}, touches: [], conversions: [], funnels: {} }');
+    }
+    return errors.length > 20 ? errors.slice(0, 20).concat(['...and ' + (errors.length - 20) + ' more']) : errors;
+  }
+
+  function csvField(v){
+    const str = v == null ? '' : String(v);
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  }
+
+  // Share codes: "ik1." + base64url(deflate-raw(JSON)); "ik0." when the runtime has no CompressionStream
+  const SHARE_FIELDS = ['affinity', 'affinityUpdatedAt', 'clicks', 'lastClickAt', 'dwellMs', 'lastSeenAt', 'title', 'category', 'tags'];
+  function toBase64Url(bytes){
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return root.btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  function fromBase64Url(str){
+    const bin = root.atob(str.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((str.length + 3) % 4));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  function pipeBytes(bytes, stream){
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+  function encodeShareCode(json){
+    const bytes = new TextEncoder().encode(json);
+    if (typeof root.CompressionStream !== 'function') return Promise.resolve('ik0.' + toBase64Url(bytes));
+    return pipeBytes(bytes, new root.CompressionStream('deflate-raw')).then(packed => 'ik1.' + toBase64Url(packed));
+  }
+  function decodeShareCode(code){
+    const m = /^ik([01])\.([A-Za-z0-9_-]+)$/.exec(String(code || '').trim());
+    if (!m) return Promise.reject(new Error('not an InterestKit share code'));
+    let bytes;
+    try { bytes = fromBase64Url(m[2]); } catch(e){ return Promise.reject(new Error('share code is damaged')); }
+    const text = (b) => new TextDecoder().decode(b);
+    if (m[1] === '0') return Promise.resolve(text(bytes));
+    if (typeof root.DecompressionStream !== 'function') return Promise.reject(new Error('this browser cannot read compressed share codes'));
+    return pipeBytes(bytes, new root.DecompressionStream('deflate-raw')).then(text, () => { throw new Error('share code is damaged'); });
+  }
+
+  // FNV-1a: stable 32-bit hash, so the same id lands in the same experiment variant everywhere
+  function hash32(str){
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+  function normalCdf(z){
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // Per-variant results for one experiment over any number of profiles (this browser's, or
+  // exports collected from many). A user counts once: exposed, and converted if any (or
+  // options.goal's) conversion followed. Each variant is compared with the control (first
+  // variant) by a two-proportion z-test; significant when p < 1 - options.confidence.
+  function experimentReport(name, profiles, options){
+    const o = options || {};
+    const confidence = toNumber(o.confidence, 0.95);
+    const stats = {};
+    let order = o.variants ? o.variants.slice() : null;
+    (profiles || []).forEach(p => {
+      const entry = p && p.experiments && p.experiments[name];
+      if (!entry || !entry.firstExposedAt) return;
+      if (!order && Array.isArray(entry.variants)) order = entry.variants.slice();
+      const s = stats[entry.variant] || (stats[entry.variant] = { users: 0, converted: 0, conversions: 0, value: 0 });
+      const goals = Object.keys(entry.conversions || {}).filter(g => o.goal == null || g === o.goal);
+      const count = goals.reduce((sum, g) => sum + (entry.conversions[g].count || 0), 0);
+      s.users++;
+      if (count) s.converted++;
+      s.conversions += count;
+      s.value += goals.reduce((sum, g) => sum + (entry.conversions[g].value || 0), 0);
+    });
+    const variants = (order || []).concat(Object.keys(stats).sort().filter(v => !(order || []).includes(v)));
+    const control = variants[0] || null;
+    const base = stats[control] || { users: 0, converted: 0 };
+    const baseRate = base.users ? base.converted / base.users : 0;
+    return {
+      experiment: name,
+      goal: o.goal == null ? null : o.goal,
+      control,
+      confidence,
+      variants: variants.map(variant => {
+        const s = stats[variant] || { users: 0, converted: 0, conversions: 0, value: 0 };
+        const rate = s.users ? s.converted / s.users : 0;
+        const row = { variant, users: s.users, converted: s.converted, rate: Math.round(rate * 10000) / 10000, conversions: s.conversions, value: round2(s.value), lift: null, z: null, pValue: null, significant: false };
+        if (variant === control || !s.users || !base.users) return row;
+        if (baseRate) row.lift = Math.round((rate - baseRate) / baseRate * 10000) / 10000;
+        const pooled = (s.converted + base.converted) / (s.users + base.users);
+        const se = Math.sqrt(pooled * (1 - pooled) * (1 / s.users + 1 / base.users));
+        if (!se) return row;
+        const z = (rate - baseRate) / se;
+        row.z = round2(z);
+        row.pValue = Math.round(2 * (1 - normalCdf(Math.abs(z))) * 10000) / 10000;
+        row.significant = row.pValue < 1 - confidence;
+        return row;
+      })
+    };
+  }
+
+  // Share of one conversion's credit per touch (touches oldest first, all before `at`)
+  function touchWeights(touches, at, model, halfLifeMs){
+    if (!touches.length) return [];
+    if (model === 'first-touch') return touches.map((x, i) => i === 0 ? 1 : 0);
+    if (model === 'linear') return touches.map(() => 1 / touches.length);
+    if (model === 'time-decay') {
+      const raw = touches.map(x => Math.pow(2, -Math.max(0, at - x.at) / halfLifeMs));
+      const total = raw.reduce((sum, w) => sum + w, 0);
+      return raw.map(w => w / total);
+    }
+    return touches.map((x, i) => i === touches.length - 1 ? 1 : 0);
+  }
+
+  // Splits every conversion (of options.goal, or all) over the touches that preceded it and sums
+  // the credit by item, category, search query and recommended item. Credit is in conversions
+  // (each conversion hands out 1) and in value. Works on any number of profiles, like experimentReport.
+  function attributionReport(profiles, options){
+    const o = options || {};
+    const model = o.model || 'last-touch';
+    const halfLifeMs = toNumber(o.halfLifeMs, DEFAULT_CONFIG.attribution.halfLifeMs);
+    const dims = { items: {}, categories: {}, searches: {}, recommendations: {} };
+    const report = { goal: o.goal == null ? null : o.goal, model, conversions: 0, value: 0, unattributed: 0 };
+    const credit = (dim, key, w, value) => {
+      const c = dims[dim][key] || (dims[dim][key] = { key, credit: 0, value: 0 });
+      c.credit += w;
+      c.value += w * value;
+    };
+    (profiles || []).forEach(p => {
+      (((p && p.goals) || {}).conversions || []).forEach(conv => {
+        if (o.goal != null && conv.goal !== o.goal) return;
+        const value = conv.value || 0;
+        report.conversions++;
+        report.value += value;
+        const touches = conv.touches || [];
+        if (!touches.length) { report.unattributed++; return; }
+        touchWeights(touches, conv.at, model, halfLifeMs).forEach((w, i) => {
+          const x = touches[i];
+          if (!w) return;
+          if (x.kind === 'search') return credit('searches', x.key, w, value);
+          credit('items', x.key, w, value);
+          if (x.category) credit('categories', x.category, w, value);
+          if (x.source === 'recommendation') credit('recommendations', x.key, w, value);
+        });
+      });
+    });
+    report.value = round2(report.value);
+    Object.keys(dims).forEach(dim => {
+      report[dim] = Object.keys(dims[dim]).map(k => dims[dim][k])
+        .map(c => ({ key: c.key, credit: round2(c.credit), value: round2(c.value) }))
+        .sort((a,b)=> b.credit - a.credit || b.value - a.value);
+    });
+    return report;
+  }
+
+  // Step-by-step drop-off for one funnel definition over any number of profiles
+  function funnelReport(funnel, profiles){
+    const reached = funnel.steps.map(() => 0);
+    let completions = 0;
+    (profiles || []).forEach(p => {
+      const st = (((p && p.goals) || {}).funnels || {})[funnel.id];
+      if (!st) return;
+      funnel.steps.forEach((step, i) => { reached[i] += (st.reached || [])[i] || 0; });
+      completions += st.completions || 0;
+    });
+    const ratio = (a, b) => b ? Math.round(a / b * 10000) / 10000 : 0;
+    return {
+      funnel: funnel.id,
+      label: funnel.label || funnel.id,
+      completions,
+      conversionRate: ratio(completions, reached[0]),
+      steps: funnel.steps.map((step, i) => ({
+        step: i + 1,
+        label: stepLabel(step),
+        reached: reached[i],
+        rate: i ? ratio(reached[i], reached[i - 1]) : 1,
+        overall: ratio(reached[i], reached[0])
+      }))
+    };
+  }
+  function stepLabel(step){
+    if (step.label) return step.label;
+    if (step.goal != null) return 'goal ' + step.goal;
+    return STEP_FIELDS.filter(f => step[f] != null).map(f => f === 'event' || f === 'type' ? step[f] : f + ' ' + step[f]).join(' ');
+  }
+  function stepMatches(step, signal){
+    if (step.goal != null) return signal.goal === step.goal;
+    if (signal.goal != null) return false;
+    return STEP_FIELDS.every(f => step[f] == null || step[f] === '*' || String(step[f]).toLowerCase() === String(signal[f] == null ? '' : signal[f]).toLowerCase());
+  }
+
+  // PII detectors, applied after config.redaction.patterns; matches become [email], [phone], [card]
+  const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+  // Cards: 13-19 digits, unbroken or in the groups printed on cards (4-4-4-4, 4-6-5); they must
+  // also start like a card (2-6) and pass the Luhn check, which rules out ISBNs and ms timestamps
+  const CARD_RE = /(^|[^\w+])(\d{13,19}|\d{4}(?:[ -]\d{4}){2,3}(?:[ -]\d{1,3})?|\d{4}[ -]\d{6}[ -]\d{4,5})(?!\w)/g;
+  // Phones: +country ..., (area) ..., unbroken 10-15 digit runs, or digit groups split by spaces,
+  // dots or dashes (9-15 digits) laid out like a phone number; see isPhone for what is left alone
+  const PHONE_RE = /(^|[^\w+])(\+\d[\d\s().-]{6,}\d|\(\d{1,5}\)[\s.-]?\d{2,}(?:[\s.-]\d{2,})*|\d{1,5}(?:[\s.-]\d{2,})+|\d{10,15})(?![\w:])/g;
+  const DATE_RE = /\d{4}[.\/-]\d{1,2}[.\/-]\d{1,2}|\d{1,2}[.\/-]\d{1,2}[.\/-]\d{4}/;
+  const REDACTED_RE = /\[(?:email|phone|card|redacted)\]/g;
+
+  // Strings match the whole value (case-insensitive), RegExps anywhere in it
+  function listMatches(list, str){
+    return (list || []).some(entry => {
+      if (entry instanceof RegExp) { entry.lastIndex = 0; return entry.test(str); }
+      return String(entry).toLowerCase() === str.toLowerCase();
+    });
+  }
+  function luhn(digits){
+    let sum = 0;
+    for (let i = digits.length - 1, double = false; i >= 0; i--, double = !double) {
+      let d = Number(digits[i]);
+      if (double && (d *= 2) > 9) d -= 9;
+      sum += d;
+    }
+    return sum % 10 === 0;
+  }
+  function isCard(m){
+    const digits = m.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && /^[2-6]/.test(digits) && luhn(digits);
+  }
+  function isbn13(digits){
+    return digits.length === 13 && /^97[89]/.test(digits) &&
+      digits.split('').reduce((sum, d, i) => sum + Number(d) * (i % 2 ? 3 : 1), 0) % 10 === 0;
+  }
+  // Unbroken runs that are something else: card-length Luhn numbers, ISBN-13s, epoch
+  // timestamps (seconds or ms) and yyyymmddhhmm[ss] stamps
+  function isOtherNumber(digits){
+    if (digits.length >= 13 && luhn(digits)) return true;
+    if (isbn13(digits)) return true;
+    if ((digits.length === 10 || digits.length === 13) && digits[0] === '1') return true;
+    return (digits.length === 12 || digits.length === 14) && /^(19|20)\d\d(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])/.test(digits);
+  }
+  // Grouped numbers need a trunk prefix (020 7946 0958, 06 12 34 56 78) or the North American
+  // 3-3-4 layout; ZIP+4 (94105-1234), SKUs (12-34567-890), dates and thousands have neither
+  function isPhone(m){
+    const digits = m.replace(/\D/g, '');
+    if (/^[+(]/.test(m)) return digits.length >= 8 && digits.length <= 15;
+    if (/^\d+$/.test(m)) return digits.length >= 10 && digits.length <= 15 && !isOtherNumber(digits);
+    if (digits.length < 9 || digits.length > 15 || DATE_RE.test(m)) return false;
+    return m[0] === '0' || /^(?:1[\s.-])?\d{3}[\s.-]\d{3}[\s.-]\d{4}$/.test(m);
+  }
+  // Scrubs one string under a redaction policy (config.redaction). Returns { value, hits, denied }:
+  // hits counts matches per kind (email, phone, card, custom); denied means the value is on the
+  // deny list and must not be recorded at all (value is then null).
+  function redactText(input, policy){
+    const hits = {};
+    const str = String(input == null ? '' : input);
+    if (listMatches(policy.deny, str.trim())) return { value: null, hits, denied: true };
+    const hit = (kind, label) => (m) => {
+      if (listMatches(policy.allow, m)) return m;
+      hits[kind] = (hits[kind] || 0) + 1;
+      return '[' + label + ']';
+    };
+    let value = str;
+    (policy.patterns || []).forEach(p => {
+      const re = p instanceof RegExp ? new RegExp(p.source, p.flags.includes('g') ? p.flags : p.flags + 'g') : new RegExp(String(p), 'gi');
+      value = value.replace(re, hit('custom', 'redacted'));
+    });
+    if (policy.email) value = value.replace(EMAIL_RE, hit('email', 'email'));
+    if (policy.card) value = value.replace(CARD_RE, (all, lead, m) => isCard(m) ? lead + hit('card', 'card')(m) : all);
+    if (policy.phone) value = value.replace(PHONE_RE, (all, lead, m) => isPhone(m) ? lead + hit('phone', 'phone')(m) : all);
+    return { value, hits, denied: false };
+  }
+  // Runs a redaction policy over a stored profile (mutated in place): keys, meta strings, the event
+  // log, query stats and sessions, and touches. Keys that collapse into one are summed; denied keys,
+  // queries and events are dropped, as are tokens that turn into placeholders (recordTokens never
+  // stores those). What keys, meta and queries held is added to the profile's redaction counts;
+  // the copies in events, sessions and touches are scrubbed without counting them again.
+  function redactProfile(data, policy, t){
+    if (!policy || !policy.enabled) return data;
+    const counts = {}, fields = {};
+    const scrub = (value, field) => {
+      if (typeof value !== 'string') return value;
+      const r = redactText(value, policy);
+      const found = Object.assign({}, r.hits);
+      if (r.denied) found.denied = 1;
+      if (field) Object.keys(found).forEach(k => {
+        counts[k] = (counts[k] || 0) + found[k];
+        fields[field] = (fields[field] || 0) + found[k];
+      });
+      return r.value;
+    };
+    const scrubMeta = (meta) => {
+      const out = {};
+      Object.keys(meta || {}).forEach(k => {
+        const v = meta[k];
+        if (typeof v === 'string') { const r = scrub(v, 'meta'); if (r != null) out[k] = r; }
+        else if (Array.isArray(v)) out[k] = v.map(x => scrub(x, 'meta')).filter(x => x != null);
+        else out[k] = v;
+      });
+      return out;
+    };
+    const renamed = {};
+    const buckets = data.buckets || {}, meta = data.meta || {};
+    Object.keys(buckets).concat(Object.keys(meta).filter(b => !buckets[b])).forEach(bucket => {
+      const stored = buckets[bucket] || {}, metas = meta[bucket] || {};
+      const nextCounts = {}, nextMeta = {};
+      Object.keys(stored).concat(Object.keys(metas).filter(k => !(k in stored))).forEach(key => {
+        const m = metas[key] ? scrubMeta(metas[key]) : null;
+        const next = scrub(key, 'key');
+        if (next !== key) renamed[bucket + '\u0000' + key] = next != null && !(m && m.token) ? next : null;
+        if (next == null || (next !== key && m && m.token)) return;
+        if (key in stored) nextCounts[next] = (nextCounts[next] || 0) + stored[key];
+        if (m) nextMeta[next] = Object.assign(m, nextMeta[next]);
+      });
+      if (buckets[bucket]) buckets[bucket] = nextCounts;
+      if (meta[bucket]) meta[bucket] = nextMeta;
+    });
+    const keyOf = (bucket, key) => {
+      const id = bucket + '\u0000' + key;
+      return id in renamed ? renamed[id] : scrub(key);
+    };
+    if (Array.isArray(data.events)) {
+      data.events = data.events.filter(e => {
+        if (!e || typeof e.key !== 'string') return true;
+        e.key = keyOf(e.bucket, e.key);
+        return e.key != null;
+      });
+    }
+    const searches = data.searches;
+    if (searches && searches.queries) {
+      const queries = {};
+      Object.keys(searches.queries).forEach(q => {
+        const scrubbed = scrub(q, 'query');
+        const next = scrubbed == null ? '' : normalizeQuery(scrubbed);
+        if (!next) return;
+        const a = queries[next], b = Object.assign({}, searches.queries[q], { query: next });
+        queries[next] = !a ? b : Object.assign(a, {
+          count: a.count + b.count,
+          zeroResults: a.zeroResults + b.zeroResults,
+          clicks: a.clicks + b.clicks,
+          results: a.lastAt >= b.lastAt ? a.results : b.results,
+          firstAt: Math.min(a.firstAt, b.firstAt),
+          lastAt: Math.max(a.lastAt, b.lastAt)
+        });
+      });
+      searches.queries = queries;
+    }
+    if (searches && Array.isArray(searches.sessions)) {
+      searches.sessions.forEach(session => {
+        session.queries = (session.queries || []).filter(entry => {
+          entry.query = scrub(entry.query);
+          if (entry.refines != null) entry.refines = scrub(entry.refines);
+          return entry.query != null;
+        });
+        session.clicks = (session.clicks || []).filter(click => {
+          click.query = scrub(click.query);
+          click.key = keyOf(click.bucket, click.key);
+          return click.query != null && click.key != null;
+        });
+      });
+    }
+    const touchKey = (touch) => {
+      touch.key = touch.kind === 'search' ? scrub(touch.key) : keyOf(touch.bucket, touch.key);
+      return touch.key != null;
+    };
+    if (data.goals) {
+      if (Array.isArray(data.goals.touches)) data.goals.touches = data.goals.touches.filter(touchKey);
+      (data.goals.conversions || []).forEach(c => { if (Array.isArray(c.touches)) c.touches = c.touches.filter(touchKey); });
+    }
+    if (Object.keys(counts).length) {
+      const r = data.redactions || createRedactions();
+      data.redactions = { counts: addDeltas({}, counts, r.counts), fields: addDeltas({}, fields, r.fields), lastAt: t };
+    }
+    return data;
+  }
+
+  // Retention for one profile (mutated in place): TTL and affinity floor first, then the
+  // per-bucket cap, then the byte budget (oldest events, query sessions, conversion paths and
+  // touches, then the lowest-scoring keys). Returns what was removed, by reason.
+  function pruneProfile(data, policy, t, decay){
+    const ttl = policy.ttlDays != null ? policy.ttlDays * 24 * 60 * 60 * 1000 : Infinity;
+    const removed = [];
+    const report = { removed, events: 0, queries: 0, sessions: 0, conversions: 0 };
+    const keysOf = (bucket) => Object.keys(Object.assign({}, data.buckets[bucket], data.meta[bucket]));
+    const buckets = () => Object.keys(Object.assign({}, data.buckets, data.meta));
+    const info = (bucket, key) => {
+      const m = (data.meta[bucket] || {})[key] || {};
+      const count = (data.buckets[bucket] || {})[key] || 0;
+      const seen = Math.max(m.lastSeenAt || 0, m.affinityUpdatedAt || 0, m.lastClickAt || 0);
+      const score = m.affinity != null
+        ? decay(m.affinity, m.affinityUpdatedAt || m.lastSeenAt || t, t)
+        : decay(count, seen || t, t);
+      return { bucket, key, seen, score, hasAffinity: m.affinity != null };
+    };
+    const drop = (e, reason) => {
+      if (data.buckets[e.bucket]) delete data.buckets[e.bucket][e.key];
+      if (data.meta[e.bucket]) delete data.meta[e.bucket][e.key];
+      removed.push({ bucket: e.bucket, key: e.key, reason, score: round2(e.score) });
+    };
+    const byScore = (a, b) => a.score - b.score || a.seen - b.seen;
+    buckets().forEach(bucket => {
+      keysOf(bucket).map(key => info(bucket, key)).forEach(e => {
+        if (e.seen && t - e.seen > ttl) drop(e, 'ttl');
+        else if (e.hasAffinity && policy.minAffinity != null && e.score < policy.minAffinity) drop(e, 'affinity');
+      });
+      const rest = keysOf(bucket).map(key => info(bucket, key));
+      if (policy.maxKeysPerBucket != null && rest.length > policy.maxKeysPerBucket) {
+        rest.sort(byScore).slice(0, rest.length - policy.maxKeysPerBucket).forEach(e => drop(e, 'cap'));
+      }
+    });
+    const keptEvents = data.events.filter(e => t - e.ts <= ttl);
+    report.events += data.events.length - keptEvents.length;
+    data.events = keptEvents;
+    const searches = data.searches || createSearches();
+    Object.keys(searches.queries).forEach(q => {
+      if (t - searches.queries[q].lastAt > ttl) { delete searches.queries[q]; report.queries++; }
+    });
+    const keptSessions = searches.sessions.filter(s => t - s.lastAt <= ttl);
+    report.sessions += searches.sessions.length - keptSessions.length;
+    searches.sessions = keptSessions;
+    const goals = data.goals || createGoals();
+    goals.touches = goals.touches.filter(x => t - x.at <= ttl);
+    const keptConversions = goals.conversions.filter(c => t - c.at <= ttl);
+    report.conversions += goals.conversions.length - keptConversions.length;
+    goals.conversions = keptConversions;
+    if (policy.maxBytes != null) {
+      let size = JSON.stringify(data).length;
+      while (size > policy.maxBytes) {
+        if (data.events.length) {
+          const n = Math.ceil(data.events.length / 2);
+          data.events.splice(0, n);
+          report.events += n;
+        } else if (searches.sessions.length) {
+          const n = Math.ceil(searches.sessions.length / 2);
+          searches.sessions.splice(0, n);
+          report.sessions += n;
+        } else if (goals.conversions.length) {
+          const n = Math.ceil(goals.conversions.length / 2);
+          goals.conversions.splice(0, n);
+          report.conversions += n;
+        } else if (goals.touches.length) {
+          goals.touches.splice(0, Math.ceil(goals.touches.length / 2));
+        } else {
+          const all = [];
+          buckets().forEach(bucket => keysOf(bucket).forEach(key => all.push(info(bucket, key))));
+          if (!all.length) break;
+          all.sort(byScore).slice(0, Math.max(1, Math.ceil(all.length / 10))).forEach(e => drop(e, 'budget'));
+        }
+        size = JSON.stringify(data).length;
+      }
+    }
+    buckets().forEach(bucket => {
+      if (data.buckets[bucket] && !Object.keys(data.buckets[bucket]).length) delete data.buckets[bucket];
+      if (data.meta[bucket] && !Object.keys(data.meta[bucket]).length) delete data.meta[bucket];
+    });
+    return report;
+  }
+
+  // Profile store. Mutations only mark the profile dirty; the serialized write is
+  // coalesced and happens on idle (or flush(), which init wires to pagehide).
+  // Writes merge with whatever other tabs stored meanwhile instead of replacing
+  // it, and sync() folds in another tab's write as soon as it is announced.
+  function InterestStorage(storageKey, backend, options){
+    const opts = Object.assign({ scope: 'site', flushDelayMs: 1000, onError: null, decay: (v) => v, now, onWrite: null, onSync: null, redaction: null, canWrite: null }, options || {});
+    let data = createData(opts.scope, opts.now());
+    let base = createData(opts.scope, opts.now()); // last state known to be in the backend
+    let dirty = false;
+    let replaced = false; // reset/import/purge overwrite instead of merging
+    let flushHandle = null;
+    const ready = hydrate();
+    function normalize(obj){
+      if (!obj || typeof obj !== 'object') return createData(opts.scope, opts.now());
+      obj = migrate(obj, { scope: opts.scope, redaction: opts.redaction, now: opts.now });
+      if (!obj.buckets || typeof obj.buckets !== 'object') obj.buckets = {};
+      if (!obj.meta || typeof obj.meta !== 'object') obj.meta = {};
+      if (!Array.isArray(obj.events)) obj.events = [];
+      if (!obj.searches || typeof obj.searches !== 'object') obj.searches = createSearches();
+      if (!obj.segments || typeof obj.segments !== 'object') obj.segments = {};
+      if (!obj.experiments || typeof obj.experiments !== 'object') obj.experiments = {};
+      if (!obj.goals || typeof obj.goals !== 'object') obj.goals = createGoals();
+      if (!obj.redactions || typeof obj.redactions !== 'object') obj.redactions = createRedactions();
+      if (!obj.scope) obj.scope = opts.scope;
+      return obj;
+    }
+    function parse(raw){
+      if (!raw) return createData(opts.scope, opts.now());
+      let obj;
+      try { obj = JSON.parse(raw); } catch(e){ return createData(opts.scope, opts.now()); }
+      const before = obj && obj.version;
+      try { obj = normalize(obj); } catch(e){ console.warn(e.message); return createData(opts.scope, opts.now()); }
+      if (before !== obj.version) { dirty = true; schedule(); } // persist the upgrade
+      return obj;
+    }
+    function hydrate(){
+      let raw;
+      try { raw = backend.getItem(storageKey); } catch(e){ report(e, 'read'); return Promise.resolve(); }
+      if (raw && typeof raw.then === 'function') {
+        return raw.then(r => {
+          const loaded = parse(r);
+          data = dirty ? mergeProfiles(base, data, loaded, opts.decay) : loaded;
+          base = clone(loaded);
+        }, e => report(e, 'read'));
+      }
+      data = parse(raw);
+      base = clone(data);
+      return Promise.resolve();
+    }
+    // Fold another tab's stored profile into ours. Returns false when nothing changed.
+    function absorb(raw){
+      if (raw == null) {
+        if (!base.rev) return false;
+        // Removed elsewhere (reset or consent revoked in another tab)
+        data = createData(opts.scope, opts.now()); base = createData(opts.scope, opts.now()); dirty = false; replaced = false;
+        return true;
+      }
+      const remote = parse(raw);
+      if (remote.rev && remote.rev === base.rev) return false;
+      data = replaced ? data : mergeProfiles(base, data, remote, opts.decay);
+      base = clone(remote);
+      return true;
+    }
+    function sync(raw){
+      const apply = r => { if (absorb(r) && typeof opts.onSync === 'function') opts.onSync(storageKey); };
+      if (raw !== undefined) return apply(raw);
+      let res;
+      try { res = backend.getItem(storageKey); } catch(e){ return; }
+      if (res && typeof res.then === 'function') res.then(apply, () => {});
+      else apply(res);
+    }
+    function report(error, op, bytes){
+      if (typeof opts.onError !== 'function') return;
+      opts.onError({ type: isQuotaError(error) ? 'quota' : op, key: storageKey, backend: backend.name, bytes: bytes || 0, error });
+    }
+    function cancel(){
+      if (flushHandle == null) return;
+      if (root.cancelIdleCallback) root.cancelIdleCallback(flushHandle); else clearTimeout(flushHandle);
+      flushHandle = null;
+    }
+    function schedule(){
+      if (flushHandle != null) return;
+      flushHandle = root.requestIdleCallback
+        ? root.requestIdleCallback(flush, { timeout: opts.flushDelayMs })
+        : setTimeout(flush, opts.flushDelayMs);
+    }
+    function flush(){
+      cancel();
+      if (!dirty) return;
+      // Held back (still dirty) until writing is allowed, e.g. analytics consent
+      if (typeof opts.canWrite === 'function' && !opts.canWrite()) return;
+      dirty = false;
+      const write = (remoteRaw) => {
+        if (!replaced && remoteRaw !== undefined) absorb(remoteRaw);
+        replaced = false;
+        data.rev = uid();
+        const raw = JSON.stringify(data);
+        base = JSON.parse(raw);
+        const announce = () => { if (typeof opts.onWrite === 'function') opts.onWrite(storageKey, data.rev, raw.length); };
+        try {
+          const res = backend.setItem(storageKey, raw);
+          if (res && typeof res.then === 'function') res.then(announce, e => report(e, 'write', raw.length));
+          else announce();
+        } catch(e){ report(e, 'write', raw.length); }
+      };
+      // Read-merge-write so counters from other tabs are kept
+      let current;
+      try { current = backend.getItem(storageKey); } catch(e){ current = undefined; }
+      if (current && typeof current.then === 'function') return current.then(write, () => write(undefined));
+      write(current);
+    }
+    function save(){ data.updatedAt = opts.now(); dirty = true; schedule(); }
+    function inc(bucket, key, weight){
+      if (!bucket || !key) return;
+      const w = toNumber(weight, 1);
+      const buckets = data.buckets;
+      const map = (buckets[bucket] || (buckets[bucket] = {}));
+      map[key] = (map[key] || 0) + w;
+      save();
+    }
+    function set(bucket, key, value){
+      if (!bucket || !key) return;
+      const buckets = data.buckets;
+      const map = (buckets[bucket] || (buckets[bucket] = {}));
+      map[key] = value;
+      save();
+    }
+    function setMeta(bucket, key, meta){
+      if (!bucket || !key || !meta) return;
+      const byBucket = (data.meta[bucket] || (data.meta[bucket] = {}));
+      const current = byBucket[key] || {};
+      byBucket[key] = Object.assign({}, current, meta);
+      save();
+    }
+    // Read-modify-write of one meta entry: fn(currentMeta) returns the patch
+    function updateMeta(bucket, key, fn){
+      if (!bucket || !key) return {};
+      const patch = fn(getMeta(bucket, key));
+      setMeta(bucket, key, patch);
+      return getMeta(bucket, key);
+    }
+    function getMeta(bucket, key){
+      const byBucket = data.meta[bucket] || {};
+      return byBucket[key] || {};
+    }
+    function getTop(bucket, n){
+      const map = data.buckets[bucket] || {};
+      return Object.entries(map).sort((a,b)=>b[1]-a[1]).slice(0, toNumber(n, 5));
+    }
+    function logEvent(entry, max){
+      data.events.push(entry);
+      if (data.events.length > max) data.events.splice(0, data.events.length - max);
+      save();
+    }
+    // Attach a patch to the newest event if it is for bucket/key; false otherwise
+    function amendLastEvent(bucket, key, patch){
+      const last = data.events[data.events.length - 1];
+      if (!last || last.bucket !== bucket || last.key !== key) return false;
+      Object.assign(last, patch);
+      save();
+      return true;
+    }
+    function setSession(session){ data.session = session; save(); }
+    // Read-modify-write of a top-level field (e.g. searches): fn(current) returns the new value
+    function update(field, fn){ data[field] = fn(data[field]); save(); return data[field]; }
+    // Swap in recomputed buckets/meta (see InterestKit.rebuildAggregates)
+    function replaceAggregates(buckets, meta){ data.buckets = buckets; data.meta = meta; save(); }
+    function get(){ return data; }
+    function exportJSON(){ return JSON.parse(JSON.stringify(data)); }
+    function importJSON(obj){ if (obj && obj.buckets) { data = normalize(obj); data.scope = opts.scope; replaced = true; save(); } }
+    // Adds an imported profile on top of this one (counters summed, affinities combined by decayed time)
+    function mergeJSON(obj){
+      if (!obj || !obj.buckets) return;
+      data = mergeImported(data, normalize(obj), opts.decay);
+      data.scope = opts.scope;
+      save();
+    }
+    function reset(){ data = createData(opts.scope, opts.now()); replaced = true; save(); }
+    // Backend calls outside the coalesced profile write; results may be promises
+    function call(method, key, value){
+      try {
+        const res = backend[method](key, value);
+        return res && typeof res.then === 'function' ? res.catch(() => null) : Promise.resolve(res);
+      } catch(e){ return Promise.resolve(null); }
+    }
+    // Identity switch: park the live profile under storageKey + parkSuffix (unless null), then
+    // continue with the profile parked under storageKey + loadSuffix, or a fresh one. With
+    // merge the live profile is folded into the loaded one. Parked keys are listed under
+    // storageKey:parked so purge() can remove them too.
+    function partition(parkSuffix, loadSuffix, merge){
+      const live = exportJSON();
+      const registry = storageKey + ':parked';
+      return call('getItem', registry).then(raw => {
+        let parked = [];
+        try { parked = JSON.parse(raw) || []; } catch(e){}
+        const writes = [];
+        if (parkSuffix) {
+          writes.push(call('setItem', storageKey + parkSuffix, JSON.stringify(live)));
+          if (!parked.includes(parkSuffix)) parked.push(parkSuffix);
+        }
+        return Promise.all(writes).then(() => loadSuffix ? call('getItem', storageKey + loadSuffix) : null).then(loadedRaw => {
+          const loaded = loadedRaw ? parse(loadedRaw) : createData(opts.scope, opts.now());
+          data = merge ? mergeProfiles(createData(opts.scope, opts.now()), live, loaded, opts.decay) : loaded;
+          data.scope = opts.scope;
+          replaced = true;
+          save();
+          if (loadSuffix && loadedRaw) {
+            parked = parked.filter(suffix => suffix !== loadSuffix);
+            call('removeItem', storageKey + loadSuffix);
+          }
+          return call('setItem', registry, JSON.stringify(parked));
+        });
+      });
+    }
+    function purge(){
+      cancel();
+      dirty = false;
+      replaced = false;
+      data = createData(opts.scope, opts.now());
+      base = createData(opts.scope, opts.now());
+      call('removeItem', storageKey);
+      const registry = storageKey + ':parked';
+      call('getItem', registry).then(raw => {
+        let parked = [];
+        try { parked = JSON.parse(raw) || []; } catch(e){}
+        parked.forEach(suffix => call('removeItem', storageKey + suffix));
+        call('removeItem', registry);
+      });
+    }
+    return { key: storageKey, inc, getTop, set, setMeta, updateMeta, getMeta, logEvent, amendLastEvent, setSession, update, replaceAggregates, get, exportJSON, importJSON, mergeJSON, reset, purge, partition, flush, sync, ready: () => ready };
+  }
+
+  // Fans writes out to every scope's profile (site-wide plus optional per-page)
+  // and serves reads from the configured one.
+  function ScopedStorage(stores, readScope){
+    const names = Object.keys(stores);
+    const reader = stores[readScope] || stores[names[0]];
+    function each(fn){ names.forEach(name => fn(stores[name])); }
+    return {
+      inc(bucket, key, weight){ each(s => s.inc(bucket, key, weight)); },
+      set(bucket, key, value){ each(s => s.set(bucket, key, value)); },
+      setMeta(bucket, key, meta){ each(s => s.setMeta(bucket, key, meta)); },
+      updateMeta(bucket, key, fn){
+        let result = {};
+        each(s => { const m = s.updateMeta(bucket, key, fn); if (s === reader) result = m; });
+        return result;
+      },
+      logEvent(entry, max){ each(s => s.logEvent(Object.assign({}, entry), max)); },
+      amendLastEvent(bucket, key, patch){
+        let amended = false;
+        each(s => { if (s.amendLastEvent(bucket, key, patch) && s === reader) amended = true; });
+        return amended;
+      },
+      setSession(session){ each(s => s.setSession(Object.assign({}, session))); },
+      // fn runs once per scope, so anything random (ids) must be made before calling update
+      update(field, fn){
+        let result;
+        each(s => { const v = s.update(field, fn); if (s === reader) result = v; });
+        return result;
+      },
+      replaceAggregates(buckets, meta){ reader.replaceAggregates(buckets, meta); },
+      getMeta(bucket, key){ return reader.getMeta(bucket, key); },
+      getTop(bucket, n){ return reader.getTop(bucket, n); },
+      get(){ return reader.get(); },
+      exportJSON(){ return reader.exportJSON(); },
+      importJSON(obj){ each(s => s.importJSON(JSON.parse(JSON.stringify(obj)))); },
+      mergeJSON(obj){ each(s => s.mergeJSON(JSON.parse(JSON.stringify(obj)))); },
+      reset(){ each(s => s.reset()); },
+      partition(parkSuffix, loadSuffix, merge){ return Promise.all(names.map(name => stores[name].partition(parkSuffix, loadSuffix, merge))); },
+      purge(){ each(s => s.purge()); },
+      flush(){ each(s => s.flush()); },
+      sync(key, raw){ each(s => { if (s.key === key) s.sync(raw); }); },
+      keys(){ return names.map(name => stores[name].key); },
+      ready(){ return Promise.all(names.map(name => stores[name].ready())); },
+      scope(name){ return stores[name] || null; },
+      scopes(){ return names.slice(); }
+    };
+  }
+
+  // Methods shared by every kit instance; state lives on the instance (createCore).
+  // The browser build overrides the hooks: _createStorage, hasConsent, _notifyChange, _currentPage.
+  const CoreMethods = {
+    init(userConfig){
+      if (this._storage) return this; // already initialized
+      this._setup(userConfig);
+      return this;
+    },
+    _setup(userConfig){
+      this._config = Object.assign({}, this._defaults, userConfig || {});
+      // Option groups merge over their defaults, so init({ dwell: { minMs: 500 } }) keeps the rest
+      NESTED_CONFIG.forEach(name => {
+        if (this._defaults[name]) this._config[name] = Object.assign({}, this._defaults[name], (userConfig || {})[name]);
+      });
+      this._synonyms = null;
+      this._storage = this._createStorage();
+      this.setRules(this._config.rules);
+      (this._config.thresholds || []).forEach(spec => this.addThreshold(spec));
+      this.setSegments(this._config.segments);
+      this.setGoals(this._config.goals);
+      this.setFunnels(this._config.funnels);
+      this._scheduleCompact();
+    },
+    _createStorage(){
+      const conf = this._config;
+      const backend = conf.storage && typeof conf.storage === 'object' ? conf.storage : MemoryBackend();
+      return ScopedStorage({
+        site: InterestStorage(conf.storageKey, backend, {
+          scope: 'site',
+          flushDelayMs: conf.storageFlushMs,
+          now: this._now,
+          decay: (v, from, to) => this._decayValue(v, from, to),
+          redaction: conf.redaction,
+          onWrite: (key, rev, bytes) => this._checkRetention(bytes),
+          onError: (detail) => this._emit('storageError', detail)
+        })
+      }, 'site');
+    },
+    ready(){ if (!this._storage) this.init(); return this._storage.ready().then(() => this); },
+    // Headless kits have no consent UI; the browser layer gates on the user's choices
+    hasConsent(){ return true; },
+    _notifyChange(){ this._checkSegments(); this._emit('change', this._storage ? this._storage.get() : null); },
+    _currentPage(){ return null; },
+
+    // Rules
+    _validateRule(rule){
+      const problems = [];
+      if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+      if (typeof rule.type !== 'string' || !rule.type) problems.push('type must be a non-empty string (or "*")');
+      if (typeof rule.event !== 'string' || !rule.event) problems.push('event must be a non-empty string (or "*")');
+      else if (!KNOWN_EVENTS.includes(rule.event)) problems.push('unknown event "' + rule.event + '" (expected one of ' + KNOWN_EVENTS.join(', ') + ')');
+      if (rule.id != null && typeof rule.id !== 'string') problems.push('id must be a string');
+      if (rule.weight != null && !(Number.isFinite(rule.weight) && rule.weight >= 0)) problems.push('weight must be a number >= 0');
+      if (rule.bucket != null && (typeof rule.bucket !== 'string' || !rule.bucket)) problems.push('bucket must be a non-empty string');
+      if (rule.cap != null && !(Number.isFinite(rule.cap) && rule.cap > 0)) problems.push('cap must be a number > 0');
+      if (rule.cooldownMs != null && !(Number.isFinite(rule.cooldownMs) && rule.cooldownMs >= 0)) problems.push('cooldownMs must be a number >= 0');
+      [].concat(rule.transform == null ? [] : rule.transform).forEach(t => {
+        if (typeof t !== 'function' && !KEY_TRANSFORMS[t]) problems.push('unknown transform "' + t + '" (expected a function or one of ' + Object.keys(KEY_TRANSFORMS).join(', ') + ')');
+      });
+      return problems;
+    },
+    _knownTypes(){
+      const types = new Set(Object.keys(DEFAULT_BUCKETS));
+      this._rules.forEach(r => { if (r.type !== '*') types.add(r.type); });
+      return types;
+    },
+    // Replaces the user rules (DEFAULT_RULES always apply underneath). Invalid rules are dropped with a warning.
+    setRules(rules){
+      this._rules = DEFAULT_RULES.slice();
+      this._ruleCooldowns = {};
+      (rules || []).forEach(rule => this.addRule(rule));
+      return this.getRules();
+    },
+    addRule(rule){
+      const problems = this._validateRule(rule);
+      if (problems.length) {
+        console.warn('InterestKit: ignoring invalid rule ' + JSON.stringify(rule) + ': ' + problems.join('; '));
+        return false;
+      }
+      const clean = Object.assign({}, rule, { type: rule.type.toLowerCase() });
+      if (clean.type !== '*' && !this._knownTypes().has(clean.type)) {
+        console.warn('InterestKit: rule for unknown type "' + clean.type + '"; it will only match elements with data-track-type="' + clean.type + '"');
+      }
+      this._rules.push(clean);
+      return true;
+    },
+    getRules(){ return this._rules.slice(DEFAULT_RULES.length).map(r => Object.assign({}, r)); },
+    // Effective rule for an event: fields merged from least to most specific match.
+    // `bucket` is the element's own data-track-bucket, if any
+    _ruleFor(type, eventType, key, bucket){
+      const specificity = r => (r.id ? 4 : 0) + (r.type !== '*' ? 2 : 0) + (r.event !== '*' ? 1 : 0);
+      const matches = this._rules.filter(r =>
+        (r.type === '*' || r.type === type) &&
+        (r.event === '*' || r.event === eventType) &&
+        (r.id == null || r.id === key)
+      );
+      const effective = {};
+      matches
+        .map((r, i) => ({ r, i }))
+        .sort((a,b)=> specificity(a.r) - specificity(b.r) || a.i - b.i) // later rules win ties
+        .forEach(({ r }) => RULE_FIELDS.forEach(f => { if (r[f] != null) effective[f] = r[f]; }));
+      if (type && !bucket && !this._knownTypes().has(type) && !this._warnedTypes.has(type)) {
+        this._warnedTypes.add(type);
+        console.warn('InterestKit: unknown data-track-type "' + type + '", recording it in the "actions" bucket. Add a rule or data-track-bucket to map it.');
+      }
+      return effective;
+    },
+    _applyTransform(transform, key, el){
+      return [].concat(transform == null ? [] : transform).reduce((k, t) => {
+        const fn = typeof t === 'function' ? t : KEY_TRANSFORMS[t];
+        return k == null ? k : fn(String(k), el);
+      }, key);
+    },
+    // Returns the weight to record, reduced by the rule's cap, or null when capped out or cooling down
+    _applyLimits(rule, type, eventType, bucket, key, weight){
+      const t = this._now();
+      if (rule.cooldownMs) {
+        const id = [type, eventType, bucket, key].join('|');
+        const last = this._ruleCooldowns[id];
+        if (last && t - last < rule.cooldownMs) return null;
+        this._ruleCooldowns[id] = t;
+      }
+      if (rule.cap) {
+        const current = (this._storage.get().buckets[bucket] || {})[key] || 0;
+        const room = rule.cap - current;
+        if (room <= 0) return null;
+        weight = Math.min(weight, room);
+      }
+      return weight;
+    },
+    // Redaction
+    // Keys, queries and meta strings pass through _redact before they are stored, and therefore
+    // before any destination sees them. identify() traits are the page's deliberate choice and
+    // are left alone. Returns the scrubbed string, or null when the value is on the deny list.
+    _redact(value, field){
+      if (typeof value !== 'string' || !this._config.redaction.enabled) return value;
+      const result = redactText(value, this._config.redaction);
+      const counts = Object.assign({}, result.hits);
+      if (result.denied) counts.denied = 1;
+      if (Object.keys(counts).length) this._noteRedaction(field, counts);
+      return result.value;
+    },
+    // String (and string list) meta values; denied ones are left out
+    _redactMeta(meta){
+      if (!meta || typeof meta !== 'object') return meta;
+      const out = {};
+      Object.keys(meta).forEach(k => {
+        const v = meta[k];
+        if (typeof v === 'string') { const r = this._redact(v, 'meta'); if (r != null) out[k] = r; }
+        else if (Array.isArray(v)) out[k] = v.map(x => this._redact(x, 'meta')).filter(x => x != null);
+        else out[k] = v;
+      });
+      return out;
+    },
+    // Audit trail: counts per kind (email, phone, card, custom, denied, sensitive) and per field (key, query, meta)
+    _noteRedaction(field, counts){
+      const total = Object.keys(counts).reduce((sum, k) => sum + counts[k], 0);
+      this._storage.update('redactions', current => {
+        const r = current || createRedactions();
+        const next = { counts: Object.assign({}, r.counts), fields: Object.assign({}, r.fields), lastAt: this._now() };
+        Object.keys(counts).forEach(k => { next.counts[k] = (next.counts[k] || 0) + counts[k]; });
+        next.fields[field] = (next.fields[field] || 0) + total;
+        return next;
+      });
+      this._emit('redaction', { field, counts });
+    },
+    // What redaction has caught so far: { counts: { email, phone, ... }, fields: { key, query, meta }, lastAt }
+    getRedactions(){
+      if (!this._storage) this.init();
+      return clone(this._storage.get().redactions || createRedactions());
+    },
+    // Scrubs a string with the configured policy without counting it (e.g. for the page's own logs); null if
+    // denied. Like stored values, it comes back untouched when redaction.enabled is false.
+    redact(value){
+      if (!this._storage) this.init();
+      if (!this._config.redaction.enabled) return value;
+      return redactText(value, this._config.redaction).value;
+    },
+    // Public API
+    record({ bucket, key, weight = 1, meta }){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return;
+      key = this._redact(key, 'key');
+      if (key == null || key === '') return;
+      meta = this._redactMeta(meta);
+      this._storage.inc(bucket, key, weight);
+      if (meta && typeof meta === 'object') this._storage.setMeta(bucket, key, meta);
+      this._logEvent({ event: (meta && meta.event) || 'record', bucket, key, weight, via: meta && meta.via });
+      // Linked category/tag records ride along with the interaction that caused them
+      if (!(meta && meta.via)) this._journey('item', bucket, key, meta || {});
+      this._emit('record', { bucket, key, weight, meta });
+      this._checkThresholds(bucket, key);
+      this._notifyChange();
+    },
+    recordTokens(bucket, value, weight = 1){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return;
+      const scrubbed = this._redact(value, 'query');
+      if (scrubbed == null) return;
+      const t = this._now();
+      this._searchTokens(String(scrubbed).replace(REDACTED_RE, ' ')).forEach(tok => {
+        this._storage.inc(bucket, tok, weight);
+        this._storage.setMeta(bucket, tok, { lastSeenAt: t, token: true }); // lets retention age tokens out; marks search signal
+        this._logEvent({ event: 'token', bucket, key: tok, weight });
+        this._emit('record', { bucket, key: tok, weight, meta: { event: 'token' } });
+        this._checkThresholds(bucket, tok);
+      });
+      this._notifyChange();
+    },
+    recordSearch(query, weight = 1){
+      this.recordTokens(DEFAULT_BUCKETS.search, query, weight);
+    },
+    // Search
+    // Stop words dropped, then stemmed and mapped to synonym canonicals
+    _searchTokens(value){
+      const conf = this._config.search;
+      if (!this._synonyms) {
+        this._synonyms = {};
+        Object.keys(conf.synonyms || {}).forEach(canonical => {
+          const target = this._searchTerm(canonical, {});
+          [].concat(conf.synonyms[canonical]).forEach(v => { this._synonyms[this._searchTerm(v, {})] = target; });
+        });
+      }
+      const seen = new Set();
+      return tokenize(value, this._config.tokenStopWords)
+        .map(tok => this._searchTerm(tok, this._synonyms))
+        .filter(tok => !seen.has(tok) && seen.add(tok));
+    },
+    _searchTerm(tok, synonyms){
+      const t = this._config.search.stemming ? stem(String(tok).toLowerCase()) : String(tok).toLowerCase();
+      return synonyms[t] || t;
+    },
+    // Records one search. Queries within search.sessionGapMs of the previous one are
+    // refinements in the same query session; repeating the current query only fills
+    // in its result count. options: results (count shown, if known), filter, weight.
+    trackSearch(query, options){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return null;
+      const q = normalizeQuery(this._redact(query, 'query'));
+      if (!q) return null;
+      const o = options || {};
+      const conf = this._config.search;
+      const t = this._now();
+      const count = o.results == null || o.results === '' ? NaN : Number(o.results);
+      const results = Number.isFinite(count) ? count : null;
+      // The updater runs once per scope: ids are made once and the outcome is the read scope's
+      const sessionId = uid();
+      const outcomes = new Map();
+      const stored = this._storage.update('searches', current => {
+        const searches = current || createSearches();
+        let session = searches.sessions[searches.sessions.length - 1];
+        if (!session || t - session.lastAt > conf.sessionGapMs) {
+          session = { id: sessionId, startedAt: t, lastAt: t, queries: [], clicks: [] };
+          searches.sessions.push(session);
+          if (searches.sessions.length > conf.maxSessions) searches.sessions.splice(0, searches.sessions.length - conf.maxSessions);
+        }
+        const last = session.queries[session.queries.length - 1];
+        const repeat = !!last && last.query === q;
+        const entry = repeat ? last : { query: q, at: t, results: null };
+        if (!repeat) {
+          if (last) entry.refines = last.query;
+          session.queries.push(entry);
+        }
+        const stats = searches.queries[q] || (searches.queries[q] = { query: q, count: 0, results: null, zeroResults: 0, clicks: 0, firstAt: t, lastAt: t });
+        if (!repeat) stats.count++;
+        if (results != null) {
+          if (results === 0 && entry.results !== 0) stats.zeroResults++;
+          entry.results = results;
+          stats.results = results;
+        }
+        if (o.filter != null) entry.filter = o.filter;
+        stats.lastAt = session.lastAt = t;
+        const names = Object.keys(searches.queries);
+        if (names.length > conf.maxQueries) {
+          names.sort((a,b)=>searches.queries[a].lastAt - searches.queries[b].lastAt)
+            .slice(0, names.length - conf.maxQueries)
+            .forEach(name => { delete searches.queries[name]; });
+        }
+        outcomes.set(searches, { query: q, results: entry.results, sessionId: session.id, refinement: !!entry.refines, repeat });
+        return searches;
+      });
+      const outcome = outcomes.get(stored);
+      if (!outcome.repeat) {
+        this.recordTokens(DEFAULT_BUCKETS.search, q, toNumber(o.weight, 1));
+        this._journey('search', DEFAULT_BUCKETS.search, q, { event: 'search', type: 'search' });
+      }
+      const event = { query: q, results: outcome.results, zeroResult: outcome.results === 0, sessionId: outcome.sessionId, refinement: outcome.refinement };
+      this._emit('search', event);
+      this._notifyChange();
+      return event;
+    },
+    // Credits a tracked item click to the query session it followed (within search.attributionMs)
+    creditSearch(bucket, key){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return null;
+      const t = this._now();
+      const sessions = ((this._storage.get().searches || {}).sessions) || [];
+      const current = sessions[sessions.length - 1];
+      if (!current || !current.queries.length || t - current.lastAt > this._config.search.attributionMs) return null;
+      const query = current.queries[current.queries.length - 1].query;
+      this._storage.update('searches', searches => {
+        const session = searches.sessions[searches.sessions.length - 1];
+        session.clicks.push({ bucket, key, query, at: t });
+        if (searches.queries[query]) searches.queries[query].clicks++;
+        return searches;
+      });
+      this._storage.setMeta(bucket, key, { lastSearch: query });
+      const credit = { query, bucket, key, sessionId: current.id };
+      this._emit('searchClick', credit);
+      this._notifyChange();
+      return credit;
+    },
+    // Most searched queries: [{ query, count, results, zeroResults, clicks, firstAt, lastAt }]
+    getTopQueries(n = 10){
+      if (!this._storage) this.init();
+      const queries = (this._storage.get().searches || {}).queries || {};
+      return Object.keys(queries).map(q => Object.assign({}, queries[q]))
+        .sort((a,b)=> b.count - a.count || b.lastAt - a.lastAt)
+        .slice(0, n);
+    },
+    // Queries whose latest search found nothing, most often failing first
+    getZeroResultQueries(n = 10){
+      if (!this._storage) this.init();
+      const queries = (this._storage.get().searches || {}).queries || {};
+      return Object.keys(queries).filter(q => queries[q].results === 0).map(q => Object.assign({}, queries[q]))
+        .sort((a,b)=> b.zeroResults - a.zeroResults || b.count - a.count || b.lastAt - a.lastAt)
+        .slice(0, n);
+    },
+    // Query sessions, oldest first; finalQuery is what the user ended up with
+    getSearchSessions(){
+      if (!this._storage) this.init();
+      return (((this._storage.get().searches || {}).sessions) || []).map(s => {
+        const final = s.queries[s.queries.length - 1] || {};
+        return Object.assign(clone(s), { finalQuery: final.query || null, zeroResult: final.results === 0, converted: s.clicks.length > 0 });
+      });
+    },
+    getTop(bucket, n){
+      if (!this._storage) this.init();
+      return this._storage.getTop(bucket, n);
+    },
+    export(){ return this._storage ? this._storage.exportJSON() : createData(); },
+    // Imports a profile object or JSON string after validating it. options.mode: 'replace'
+    // (default) or 'merge' (see mergeImported: counters summed, lists unioned). The current
+    // identity and experiment assignments are kept either way. Returns { ok, mode } or { ok: false, errors }.
+    import(input, options){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return { ok: false, errors: ['analytics consent is required to import'] };
+      const mode = (options && options.mode) || 'replace';
+      let obj = input;
+      if (typeof input === 'string') {
+        try { obj = JSON.parse(input); } catch(e){ obj = undefined; }
+        if (obj === undefined) return this._importFailed(['not valid JSON (share codes go to importShareCode)']);
+      }
+      const errors = mode === 'replace' || mode === 'merge' ? validateProfile(obj) : ['unknown mode "' + mode + '" (expected replace or merge)'];
+      if (errors.length) return this._importFailed(errors);
+      const incoming = clone(obj);
+      delete incoming.identity;
+      delete incoming.segments; // re-evaluated against the result
+      delete incoming.experiments; // assignments belong to this browser's anonymousId
+      const identity = this._storage.get().identity;
+      const experiments = this._storage.get().experiments;
+      if (mode === 'merge') this._storage.mergeJSON(incoming);
+      else this._storage.importJSON(incoming);
+      if (identity) this._storage.update('identity', () => identity);
+      if (experiments) this._storage.update('experiments', () => experiments);
+      this._emit('import', this._storage.get());
+      this._notifyChange();
+      return { ok: true, mode };
+    },
+    _importFailed(errors){
+      console.warn('InterestKit.import: profile rejected, nothing was changed:\n  ' + errors.join('\n  '));
+      return { ok: false, errors };
+    },
+    // Exports as a string: 'json' (whole profile), 'ndjson' (one event per line),
+    // 'csv' (one bucket per options.bucket, else { bucket: csv } for every bucket)
+    exportAs(format, options){
+      if (!this._storage) this.init();
+      const data = this.export();
+      if (format === 'json') return JSON.stringify(data, null, 2);
+      if (format === 'ndjson') return data.events.map(e => JSON.stringify(e)).join('\n');
+      if (format === 'csv') {
+        const t = this._now();
+        const csv = (bucket) => {
+          const counts = data.buckets[bucket] || {};
+          const meta = data.meta[bucket] || {};
+          const rows = Object.keys(Object.assign({}, counts, meta)).map(k => {
+            const m = meta[k] || {};
+            const affinity = round2(this._decayValue(m.affinity || 0, m.affinityUpdatedAt || m.lastSeenAt || t, t));
+            return [k, counts[k] || 0, affinity, m.clicks || 0, m.dwellMs || 0, m.lastSeenAt ? new Date(m.lastSeenAt).toISOString() : '', m.category || '', [].concat(m.tags || []).join('|')];
+          });
+          return [['key', 'count', 'affinity', 'clicks', 'dwellMs', 'lastSeenAt', 'category', 'tags']].concat(rows).map(r => r.map(csvField).join(',')).join('\r\n');
+        };
+        if (options && options.bucket) return csv(options.bucket);
+        const out = {};
+        Object.keys(Object.assign({}, data.buckets, data.meta)).forEach(b => { out[b] = csv(b); });
+        return out;
+      }
+      console.warn('InterestKit.exportAs: unknown format "' + format + '" (expected json, ndjson or csv)');
+      return null;
+    },
+    // Compact URL-safe code with the taste profile only (counters and affinities; no events,
+    // searches or identity), for moving between browsers or handing to support.
+    exportShareCode(){
+      if (!this._storage) this.init();
+      const data = this.export();
+      const meta = {};
+      Object.keys(data.meta).forEach(b => {
+        meta[b] = {};
+        Object.keys(data.meta[b]).forEach(k => {
+          const m = {};
+          SHARE_FIELDS.forEach(f => { if (data.meta[b][k][f] != null) m[f] = data.meta[b][k][f]; });
+          meta[b][k] = m;
+        });
+      });
+      return encodeShareCode(JSON.stringify({ version: data.version, buckets: data.buckets, meta }));
+    },
+    // Resolves with import()'s result; merges by default (options.mode: 'replace' to overwrite)
+    importShareCode(code, options){
+      return decodeShareCode(code)
+        .then(json => this.import(json, Object.assign({ mode: 'merge' }, options)), e => this._importFailed([e.message]));
+    },
+    reset(){
+      if (!this._storage) this.init();
+      const identity = this._storage.get().identity; // forgetting interests doesn't log the user out
+      this._storage.reset();
+      if (identity) this._storage.update('identity', () => identity);
+      this._emit('reset', this._storage.get());
+      this._notifyChange();
+    },
+    data(scope){
+      if (!this._storage) return createData();
+      const store = scope ? this._storage.scope(scope) : null;
+      return store ? store.get() : this._storage.get();
+    },
+    getClickCount(bucket, key){ if (!this._storage) this.init(); const m=this._storage.getMeta(bucket,key)||{}; return m.clicks||0; },
+    getTopByClicks(bucket, n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const byBucket=(data.meta[bucket]||{}); return Object.entries(byBucket).map(([k,v])=>[k, v.clicks||0]).sort((a,b)=>b[1]-a[1]).slice(0,n); },
+    // Affinity helpers
+    _decayValue(current, lastTs, nowTs){
+      const halfLife = this._config.affinityHalfLifeMs;
+      if (!current || !lastTs) return current || 0;
+      const lambda = Math.LN2 / halfLife; // per ms
+      const dt = Math.max(0, nowTs - lastTs);
+      return current * Math.exp(-lambda * dt);
+    },
+    _updateAffinity(bucket, key, delta){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return 0;
+      const t = this._now();
+      const previous = this.getAffinity(bucket, key);
+      const updated = this._storage.updateMeta(bucket, key, meta => {
+        const decayed = this._decayValue(meta.affinity || 0, meta.affinityUpdatedAt || meta.lastSeenAt || t, t);
+        return { affinity: round2(decayed + (Number(delta) || 0)), affinityUpdatedAt: t };
+      });
+      // Affinity deltas ride on the event that caused them so the log can rebuild them
+      if (this._config.eventLog && !this._storage.amendLastEvent(bucket, key, { affinity: Number(delta) || 0 })) {
+        this._logEvent({ event: 'affinity', bucket, key, weight: 0, affinity: Number(delta) || 0 });
+      }
+      this._emit('affinityChange', { bucket, key, affinity: updated.affinity, previous, delta: Number(delta) || 0 });
+      this._checkThresholds(bucket, key);
+      this._notifyChange();
+      return updated.affinity;
+    },
+    getAffinity(bucket, key){ if (!this._storage) this.init(); const m=this._storage.getMeta(bucket,key)||{}; return round2(this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||this._now(), this._now())); },
+    getTopByAffinity(bucket, n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const byBucket=(data.meta[bucket]||{}); const t=this._now(); const entries=Object.entries(byBucket).map(([k,m])=>{ const v=this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||t, t); return [k, round2(v)]; }); return entries.sort((a,b)=>b[1]-a[1]).slice(0,n); },
+    getTopItems(n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const itemsMeta=(data.meta||{}).items||{}; const t=this._now(); const entries=[]; Object.entries(itemsMeta).forEach(([k,m])=>{ const affinity=this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||t, t); const lastSeen=m.lastSeenAt||m.affinityUpdatedAt||0; entries.push({key:k,affinity:round2(affinity),lastSeenAt:lastSeen,meta:m}); }); return entries.sort((a,b)=>{ const diff=b.affinity-a.affinity; if(diff!==0)return diff; return b.lastSeenAt-a.lastSeenAt; }).slice(0,n); },
+    
+
+    // Identity
+    // anonymousId is generated once per profile and survives reset(); sessionId is the activity
+    // session (config.sessionTimeoutMs of inactivity starts a new one); userId comes from identify().
+    _identity(){
+      const current = this._storage.get().identity;
+      if (current && current.anonymousId) return current;
+      const anonymousId = uid(); // outside the updater, which runs once per scope
+      return this._storage.update('identity', prev => Object.assign({ userId: null, traits: {}, identifiedAt: null }, prev, { anonymousId }));
+    },
+    // Read-only: ids are created by the first recorded interaction (or identify/experiment), and
+    // sessionId is null once the session has timed out until the next one starts
+    getIdentity(){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return { anonymousId: null, userId: null, sessionId: null, traits: {} };
+      const data = this._storage.get();
+      const identity = data.identity || {};
+      const session = data.session;
+      const live = !!session && !!session.id && this._now() - session.lastEventAt <= this._config.sessionTimeoutMs;
+      return {
+        anonymousId: identity.anonymousId || null,
+        userId: identity.userId || null,
+        sessionId: live ? session.id : null,
+        traits: Object.assign({}, identity.traits)
+      };
+    },
+    // Attaches a known user; identify(null) logs out. Resolves with getIdentity().
+    //   same user again: traits are merged
+    //   anonymous -> user: the anonymous profile becomes the user's (merged into the profile
+    //     parked for that user on this browser, if any)
+    //   user A -> user B: A's profile is parked (storageKey:user:A) and B's parked one loaded;
+    //     options.merge folds A's profile into B's instead (same person, e.g. linked accounts)
+    //   user -> null: the user's profile is parked and an empty anonymous one starts
+    identify(userId, traits, options){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return Promise.resolve(this.getIdentity());
+      const id = userId == null || userId === '' ? null : String(userId);
+      const o = options || {};
+      const previous = Object.assign({}, this._identity());
+      const from = previous.userId || null;
+      let switching = Promise.resolve();
+      if (from !== id) {
+        if (!from) switching = this._storage.partition(null, ':user:' + id, true);
+        else if (!id) switching = this._storage.partition(':user:' + from, null, false);
+        else switching = this._storage.partition(o.merge ? null : ':user:' + from, ':user:' + id, !!o.merge);
+      }
+      return switching.then(() => {
+        const t = this._now();
+        this._storage.update('identity', current => {
+          const same = !!current && current.userId === id && !!id;
+          return {
+            anonymousId: previous.anonymousId,
+            userId: id,
+            traits: id ? Object.assign({}, same ? current.traits : {}, traits) : {},
+            identifiedAt: id ? ((same && current.identifiedAt) || t) : null
+          };
+        });
+        this._activity(t);
+        const identity = this.getIdentity();
+        this._emit('identify', Object.assign({ previousUserId: from, merged: !!(from && id && from !== id && o.merge) }, identity));
+        this._notifyChange();
+        return identity;
+      });
+    },
+    logout(){ return this.identify(null); },
+
+    // Experiments
+    // experiment() assigns a variant by hashing anonymousId + name (weights default to equal) and
+    // stores it, so the same browser keeps its variant across loads, tabs and identify(). The first
+    // call per variant records the exposure (later ones only bump lastExposedAt); trackConversion()
+    // then credits the variants already exposed.
+    //   const layout = kit.experiment('rec-layout', ['grid', 'carousel'], { weights: [1, 3] });
+    // Returns the control (first variant) without analytics consent or when the definition is invalid.
+    _validateExperiment(name, variants, weights){
+      const problems = [];
+      if (typeof name !== 'string' || !name) problems.push('name must be a non-empty string');
+      if (!Array.isArray(variants) || variants.length < 2) problems.push('needs at least two variants');
+      else if (variants.some(v => typeof v !== 'string' || !v) || new Set(variants).size !== variants.length) problems.push('variants must be distinct non-empty strings');
+      if (weights != null) {
+        if (!Array.isArray(weights) || !Array.isArray(variants) || weights.length !== variants.length) problems.push('weights must be an array with one number per variant');
+        else if (weights.some(w => !Number.isFinite(w) || w < 0) || !weights.some(w => w > 0)) problems.push('weights must be non-negative numbers, at least one positive');
+      }
+      return problems;
+    },
+    _assignVariant(name, variants, weights){
+      const w = weights || variants.map(() => 1);
+      const total = w.reduce((sum, x) => sum + x, 0);
+      let point = hash32(this._identity().anonymousId + ':' + name) / 4294967296 * total;
+      for (let i = 0; i < variants.length; i++) {
+        if (point < w[i]) return variants[i];
+        point -= w[i];
+      }
+      return variants[variants.length - 1];
+    },
+    experiment(name, variants, options){
+      if (!this._storage) this.init();
+      const weights = options && options.weights;
+      const problems = this._validateExperiment(name, variants, weights);
+      if (problems.length) {
+        console.warn('InterestKit.experiment: invalid experiment ' + JSON.stringify(name) + ': ' + problems.join('; '));
+        return Array.isArray(variants) && variants.length ? variants[0] : null;
+      }
+      this._experiments[name] = { variants: variants.slice(), weights: weights ? weights.slice() : null };
+      if (!this.hasConsent('analytics')) return variants[0];
+      const t = this._now();
+      this._activity(t);
+      const stored = (this._storage.get().experiments || {})[name];
+      const variant = stored && variants.includes(stored.variant) ? stored.variant : this._assignVariant(name, variants, weights);
+      const exposed = !!(stored && stored.variant === variant && stored.firstExposedAt);
+      this._storage.update('experiments', current => {
+        const next = Object.assign({}, current);
+        const prev = next[name] && next[name].variant === variant ? next[name] : null;
+        next[name] = {
+          variant,
+          variants: variants.slice(),
+          assignedAt: prev ? prev.assignedAt : t,
+          firstExposedAt: prev && prev.firstExposedAt || t,
+          lastExposedAt: t,
+          conversions: prev ? prev.conversions : {}
+        };
+        return next;
+      });
+      // One exposure per user and variant, however often the page asks
+      if (exposed) return variant;
+      this._emit('exposure', { experiment: name, variant });
+      this._notifyChange();
+      return variant;
+    },
+    // Records a conversion of a goal (e.g. 'add_to_cart'; see Goals below): credits every experiment
+    // this profile was exposed to (or only options.experiment), keeps the touches that led to it
+    // for getAttribution and advances funnels. options.value (e.g. order amount) defaults to the goal's.
+    trackConversion(goal, options){
+      if (!this._storage) this.init();
+      if (!this.hasConsent('analytics')) return null;
+      if (typeof goal !== 'string' || !goal) {
+        console.warn('InterestKit.trackConversion: goal must be a non-empty string');
+        return null;
+      }
+      const o = options || {};
+      const t = this._now();
+      this._activity(t);
+      const def = this._goals[goal];
+      const value = toNumber(o.value != null ? o.value : def && def.value, 0);
+      const stored = this._storage.get().experiments || {};
+      const names = Object.keys(stored).filter(n => stored[n].firstExposedAt <= t && (o.experiment == null || o.experiment === n));
+      if (names.length) {
+        this._storage.update('experiments', current => {
+          const next = Object.assign({}, current);
+          names.forEach(n => {
+            const conversions = Object.assign({}, next[n].conversions);
+            const c = conversions[goal] || { count: 0, value: 0, firstAt: t, lastAt: t };
+            conversions[goal] = { count: c.count + 1, value: round2(c.value + value), firstAt: c.firstAt, lastAt: t };
+            next[n] = Object.assign({}, next[n], { conversions });
+          });
+          return next;
+        });
+      }
+      const conf = this._config.attribution;
+      // Each scope converts on its own touches and totals (update runs once per scope)
+      const goals = this._storage.update('goals', current => {
+        const next = clone(current || createGoals());
+        const touches = next.touches.filter(x => t - x.at <= conf.lookbackDays * 24 * 60 * 60 * 1000).slice(-conf.maxTouches);
+        const total = next.totals[goal] || { count: 0, value: 0, firstAt: t, lastAt: t };
+        next.totals[goal] = { count: total.count + 1, value: round2(total.value + value), firstAt: total.firstAt, lastAt: t };
+        next.conversions.push({ goal, at: t, value, touches });
+        if (next.conversions.length > conf.maxConversions) next.conversions.splice(0, next.conversions.length - conf.maxConversions);
+        return next;
+      });
+      const touches = goals.conversions[goals.conversions.length - 1].touches;
+      const event = { goal, value, touches: touches.length, experiments: names.map(n => ({ experiment: n, variant: stored[n].variant })) };
+      this._emit('conversion', event);
+      this._advanceFunnels({ goal }, t);
+      this._notifyChange();
+      return event;
+    },
+    // This profile's assignments: [{ experiment, variant, assignedAt, firstExposedAt, lastExposedAt, conversions }]
+    getExperiments(){
+      if (!this._storage) this.init();
+      const stored = this._storage.get().experiments || {};
+      return Object.keys(stored).map(n => Object.assign({ experiment: n }, clone(stored[n])));
+    },
+    // Per-variant users, conversion rate, lift and significance against the control. Reports on
+    // this profile unless options.profiles passes exported profiles (e.g. collected exports).
+    // options.goal narrows to one goal; options.confidence defaults to config.experimentConfidence.
+    getExperimentReport(name, options){
+      if (!this._storage) this.init();
+      const o = options || {};
+      const known = this._experiments[name];
+      return experimentReport(name, o.profiles || [this.export()], {
+        goal: o.goal,
+        variants: o.variants || (known && known.variants),
+        confidence: o.confidence != null ? o.confidence : this._config.experimentConfidence
+      });
+    },
+
+    // Goals, funnels and attribution
+    // Goals are what the site wants users to do ({ id, label, value }); trackConversion(id) records
+    // one. Item records (config.attribution.buckets) and searches are kept as touches, and each
+    // conversion takes the latest ones (within lookbackDays) along, so credit can be split later
+    // under any model. Funnels are ordered steps, e.g.
+    //   { id: 'order', steps: [{ event: 'view', type: 'recipe' }, { event: 'click', type: 'recipe' }, { goal: 'add_to_cart' }], windowMs: 1800000 }
+    // A step matches a conversion ({ goal }) or a record by event/type/bucket/key/category ('*' or
+    // omitted: any). Progress restarts when the last step is reached or windowMs (30 min) passes.
+    _validateGoal(goal){
+      if (typeof goal === 'string') goal = { id: goal };
+      if (!goal || typeof goal !== 'object' || typeof goal.id !== 'string' || !goal.id) return ['id must be a non-empty string'];
+      return goal.value != null && !Number.isFinite(goal.value) ? ['value must be a number'] : [];
+    },
+    // Replaces the goal definitions. Invalid ones are dropped with a warning.
+    setGoals(goals){
+      this._goals = {};
+      (goals || []).forEach(goal => this.addGoal(goal));
+      return Object.keys(this._goals);
+    },
+    // A goal is { id, label, value } or just its id
+    addGoal(goal){
+      const problems = this._validateGoal(goal);
+      if (problems.length) {
+        console.warn('InterestKit: ignoring invalid goal ' + JSON.stringify(goal) + ': ' + problems.join('; '));
+        return false;
+      }
+      const def = typeof goal === 'string' ? { id: goal } : Object.assign({}, goal);
+      this._goals[def.id] = def;
+      return true;
+    },
+    // Declared and converted goals: [{ id, label, value, count, totalValue, firstAt, lastAt }]
+    getGoals(){
+      if (!this._storage) this.init();
+      const totals = (this._storage.get().goals || createGoals()).totals;
+      return Object.keys(Object.assign({}, this._goals, totals)).map(id => {
+        const def = this._goals[id] || {};
+        const total = totals[id] || {};
+        return { id, label: def.label || id, value: def.value != null ? def.value : null, count: total.count || 0, totalValue: total.value || 0, firstAt: total.firstAt || null, lastAt: total.lastAt || null };
+      });
+    },
+    _validateFunnel(funnel){
+      if (!funnel || typeof funnel !== 'object') return ['funnel must be an object'];
+      const problems = [];
+      if (typeof funnel.id !== 'string' || !funnel.id) problems.push('id must be a non-empty string');
+      if (!Array.isArray(funnel.steps) || funnel.steps.length < 2) problems.push('needs at least two steps');
+      else funnel.steps.forEach((step, i) => {
+        if (!step || typeof step !== 'object' || (step.goal == null && !STEP_FIELDS.some(f => step[f] != null))) {
+          problems.push('step ' + (i + 1) + ': set goal or any of ' + STEP_FIELDS.join(', '));
+        }
+      });
+      if (funnel.windowMs != null && !(Number.isFinite(funnel.windowMs) && funnel.windowMs > 0)) problems.push('windowMs must be a positive number');
+      return problems;
+    },
+    // Replaces the funnel definitions. Invalid ones are dropped with a warning.
+    setFunnels(funnels){
+      this._funnels = [];
+      (funnels || []).forEach(funnel => this.addFunnel(funnel));
+      return this._funnels.map(f => f.id);
+    },
+    addFunnel(funnel){
+      const problems = this._validateFunnel(funnel);
+      if (problems.length) {
+        console.warn('InterestKit: ignoring invalid funnel ' + JSON.stringify(funnel) + ': ' + problems.join('; '));
+        return false;
+      }
+      this._funnels = this._funnels.filter(f => f.id !== funnel.id).concat([Object.assign({}, funnel)]);
+      return true;
+    },
+    removeFunnel(id){
+      const before = this._funnels.length;
+      this._funnels = this._funnels.filter(f => f.id !== id);
+      return this._funnels.length !== before;
+    },
+    // One interaction on the way to a conversion: kept as a touch and matched against funnel steps
+    _journey(kind, bucket, key, meta){
+      const t = this._now();
+      const item = this._catalog[key];
+      const category = kind === 'item' ? ((item && item.category) || meta.category || null) : null;
+      if (kind === 'search' || this._config.attribution.buckets.includes(bucket)) {
+        const touch = { at: t, kind, key: String(key) };
+        if (kind === 'item') touch.bucket = bucket;
+        if (category) touch.category = String(category);
+        const recommendedAt = this._recommended[key];
+        if (kind === 'item' && (/^recommend/.test(meta.source || '') || (recommendedAt && t - recommendedAt <= this._config.attribution.lookbackDays * 24 * 60 * 60 * 1000))) touch.source = 'recommendation';
+        const max = this._config.attribution.maxTouches;
+        this._storage.update('goals', current => {
+          const goals = current || createGoals();
+          const touches = clone(goals.touches);
+          const last = touches[touches.length - 1];
+          // Repeats of the same item (view, then click, then dwell) are one touch at the latest time
+          if (last && last.kind === touch.kind && last.bucket === touch.bucket && last.key === touch.key) Object.assign(last, touch, last.source ? { source: last.source } : {});
+          else touches.push(Object.assign({}, touch));
+          if (touches.length > max) touches.splice(0, touches.length - max);
+          return Object.assign({}, goals, { touches });
+        });
+      }
+      this._advanceFunnels({ event: meta.event || 'record', type: meta.type, bucket, key, category }, t);
+    },
+    _advanceFunnels(signal, t){
+      if (!this._funnels.length) return;
+      // Progress is per scope; the funnelStep events are the read scope's
+      const outcomes = new Map();
+      const stored = this._storage.update('goals', current => {
+        const goals = current || createGoals();
+        const funnels = clone(goals.funnels);
+        const steps = this._funnelSteps(funnels, signal, t);
+        const next = steps.length ? Object.assign({}, goals, { funnels }) : goals;
+        outcomes.set(next, steps);
+        return next;
+      });
+      (outcomes.get(stored) || []).forEach(e => this._emit('funnelStep', e));
+    },
+    // Advances each funnel's progress (mutated in place) by one signal; returns the steps reached
+    _funnelSteps(funnels, signal, t){
+      const steps = [];
+      this._funnels.forEach(f => {
+        const st = funnels[f.id] || { step: 0, startedAt: null, lastAt: null, reached: [], completions: 0 };
+        st.reached = f.steps.map((s, i) => st.reached[i] || 0); // the definition may have changed
+        if (st.step >= f.steps.length || (st.step > 0 && t - st.startedAt > (f.windowMs || 30 * 60 * 1000))) st.step = 0;
+        if (stepMatches(f.steps[st.step], signal)) {
+          if (st.step === 0) st.startedAt = t;
+          st.reached[st.step]++;
+          st.lastAt = t;
+          st.step++;
+          const completed = st.step === f.steps.length;
+          if (completed) { st.completions++; st.step = 0; }
+          steps.push({ funnel: f.id, step: completed ? f.steps.length : st.step, label: stepLabel(f.steps[(completed ? f.steps.length : st.step) - 1]), completed });
+        }
+        funnels[f.id] = st;
+      });
+      return steps;
+    },
+    // Conversion credit by item, category, search and recommended item under options.model
+    // (config.attribution.model by default), for options.goal or every goal. options.profiles
+    // reports on exported profiles instead of this one.
+    getAttribution(options){
+      if (!this._storage) this.init();
+      const o = options || {};
+      const model = o.model || this._config.attribution.model;
+      if (!ATTRIBUTION_MODELS.includes(model)) {
+        console.warn('InterestKit.getAttribution: unknown model "' + model + '" (expected ' + ATTRIBUTION_MODELS.join(', ') + ')');
+        return null;
+      }
+      return attributionReport(o.profiles || [this.export()], { goal: o.goal, model, halfLifeMs: this._config.attribution.halfLifeMs });
+    },
+    // Reached counts and step-to-step rates for a funnel; options.profiles as for getAttribution
+    getFunnelReport(id, options){
+      if (!this._storage) this.init();
+      const funnel = this._funnels.find(f => f.id === id);
+      if (!funnel) {
+        console.warn('InterestKit.getFunnelReport: no funnel "' + id + '"');
+        return null;
+      }
+      return funnelReport(funnel, (options && options.profiles) || [this.export()]);
+    },
+
+    // Event timeline (opt-in via config.eventLog)
+    _currentSession(t){
+      const timeout = this._config.sessionTimeoutMs;
+      const current = this._storage.get().session;
+      if (current && current.id && t - current.lastEventAt <= timeout) {
+        const session = Object.assign({}, current, { lastEventAt: t });
+        this._storage.setSession(session);
+        return session;
+      }
+      const session = { id: uid(), startedAt: t, lastEventAt: t };
+      this._storage.setSession(session);
+      return session;
+    },
+    // Every interaction keeps the identity and the activity session current
+    _activity(t){
+      this._identity();
+      return this._currentSession(t);
+    },
+    _logEvent(fields){
+      const t = this._now();
+      const session = this._activity(t);
+      if (!this._config.eventLog) return;
+      const entry = {
+        ts: t,
+        event: fields.event,
+        bucket: fields.bucket,
+        key: fields.key,
+        weight: toNumber(fields.weight, 1),
+        page: this._currentPage(),
+        sessionId: session.id
+      };
+      if (fields.via) entry.via = fields.via;
+      if (fields.affinity != null) entry.affinity = fields.affinity;
+      this._storage.logEvent(entry, toNumber(this._config.eventLogMax, 1000));
+    },
+    getEvents(query){
+      if (!this._storage) this.init();
+      const q = query || {};
+      const since = q.since != null ? toNumber(q.since, 0) : -Infinity;
+      const until = q.until != null ? toNumber(q.until, Infinity) : Infinity;
+      const out = (this._storage.get().events || []).filter(e =>
+        e.ts >= since && e.ts <= until &&
+        (!q.bucket || e.bucket === q.bucket) &&
+        (!q.key || e.key === q.key) &&
+        (!q.event || e.event === q.event) &&
+        (!q.sessionId || e.sessionId === q.sessionId)
+      ).map(e => Object.assign({}, e));
+      return q.limit ? out.slice(-toNumber(q.limit, out.length)) : out;
+    },
+    getSessions(){
+      if (!this._storage) this.init();
+      const byId = {};
+      const order = [];
+      (this._storage.get().events || []).forEach(e => {
+        let s = byId[e.sessionId];
+        if (!s) { s = byId[e.sessionId] = { id: e.sessionId, startedAt: e.ts, endedAt: e.ts, eventCount: 0, pages: [] }; order.push(s); }
+        s.startedAt = Math.min(s.startedAt, e.ts);
+        s.endedAt = Math.max(s.endedAt, e.ts);
+        s.eventCount++;
+        if (e.page && !s.pages.includes(e.page)) s.pages.push(e.page);
+      });
+      return order.map(s => Object.assign(s, { durationMs: s.endedAt - s.startedAt })).sort((a,b)=>a.startedAt-b.startedAt);
+    },
+    // Recompute bucket counters, click counts and affinities from the event log.
+    // Only covers what the log still holds (see eventLogMax); descriptive meta
+    // (title, category, ...) is kept, counters not backed by the log are dropped.
+    rebuildAggregates(){
+      if (!this._storage) this.init();
+      const data = this._storage.get();
+      const buckets = {};
+      const meta = {};
+      Object.keys(data.meta).forEach(b => {
+        meta[b] = {};
+        Object.keys(data.meta[b]).forEach(k => {
+          const m = Object.assign({}, data.meta[b][k]);
+          ['clicks', 'lastClickAt', 'affinity', 'affinityUpdatedAt'].forEach(f => { delete m[f]; });
+          meta[b][k] = m;
+        });
+      });
+      (data.events || []).forEach(e => {
+        const byBucket = (meta[e.bucket] || (meta[e.bucket] = {}));
+        const m = (byBucket[e.key] || (byBucket[e.key] = {}));
+        if (e.event !== 'affinity') {
+          const map = (buckets[e.bucket] || (buckets[e.bucket] = {}));
+          map[e.key] = (map[e.key] || 0) + e.weight;
+          m.lastSeenAt = e.ts;
+        }
+        if (e.event === 'click' && !e.via) { m.clicks = (m.clicks || 0) + 1; m.lastClickAt = e.ts; }
+        if (e.affinity != null) {
+          m.affinity = round2(this._decayValue(m.affinity || 0, m.affinityUpdatedAt || e.ts, e.ts) + e.affinity);
+          m.affinityUpdatedAt = e.ts;
+        }
+      });
+      this._storage.replaceAggregates(buckets, meta);
+      this._notifyChange();
+      return this._storage.get();
+    },
+
+    // Subscriptions
+    on(name, handler){
+      if (typeof handler !== 'function') return () => {};
+      if (!KIT_EVENTS.includes(name)) console.warn('InterestKit.on: unknown event "' + name + '" (expected one of ' + KIT_EVENTS.join(', ') + ')');
+      (this._listeners[name] || (this._listeners[name] = [])).push(handler);
+      return () => this.off(name, handler);
+    },
+    off(name, handler){
+      const list = this._listeners[name];
+      if (!list) return;
+      this._listeners[name] = handler ? list.filter(h => h !== handler) : [];
+    },
+    _emit(name, payload){
+      (this._listeners[name] || []).slice().forEach(h => {
+        try { h(payload); } catch(e){ console.warn('InterestKit: "' + name + '" handler failed', e); }
+      });
+    },
+    // Thresholds: emit thresholdCrossed when a key's affinity/count moves across `above`.
+    // key may be omitted to watch every key in the bucket; { category } or { tag } watches the
+    // sum over the items in it, like segment conditions. Returns an id for removeThreshold.
+    addThreshold(spec){
+      if (!this._storage) this.init();
+      const s = Object.assign({ bucket: 'items', key: null, category: null, tag: null, metric: 'affinity' }, spec || {});
+      if (!Number.isFinite(s.above) || (s.metric !== 'affinity' && s.metric !== 'count')) {
+        console.warn('InterestKit.addThreshold: expected { bucket, key | category | tag, metric: "affinity" | "count", above: number }');
+        return null;
+      }
+      const threshold = { id: uid(), bucket: s.bucket, key: s.key, category: s.category, tag: s.tag, metric: s.metric, above: s.above, state: {} };
+      // Seed current state so values already above the line don't fire on every page load
+      const data = this._storage.get();
+      const keys = this._thresholdTarget(threshold) ? [this._thresholdTarget(threshold)] : (s.key ? [s.key] : Object.keys(Object.assign({}, data.buckets[s.bucket], data.meta[s.bucket])));
+      keys.forEach(k => { threshold.state[k] = this._thresholdValue(threshold, k) > threshold.above; });
+      this._thresholds.push(threshold);
+      return threshold.id;
+    },
+    removeThreshold(id){
+      const before = this._thresholds.length;
+      this._thresholds = this._thresholds.filter(t => t.id !== id);
+      return this._thresholds.length !== before;
+    },
+    // The category or tag an aggregate threshold watches; null for per-key thresholds
+    _thresholdTarget(threshold){
+      return threshold.category != null ? String(threshold.category) : (threshold.tag != null ? String(threshold.tag) : null);
+    },
+    _thresholdValue(threshold, key){
+      if (this._thresholdTarget(threshold)) {
+        return this._conditionValue({ bucket: threshold.bucket, metric: threshold.metric, category: threshold.category, tag: threshold.tag }, this._now());
+      }
+      if (threshold.metric === 'count') return (this._storage.get().buckets[threshold.bucket] || {})[key] || 0;
+      return this.getAffinity(threshold.bucket, key);
+    },
+    _checkThresholds(bucket, key){
+      this._thresholds.forEach(threshold => {
+        if (threshold.bucket !== bucket) return;
+        const target = this._thresholdTarget(threshold);
+        if (!target && threshold.key && threshold.key !== key) return;
+        const watched = target || key;
+        const value = this._thresholdValue(threshold, watched);
+        const above = value > threshold.above;
+        if (above === !!threshold.state[watched]) return;
+        threshold.state[watched] = above;
+        const event = { id: threshold.id, bucket, key: watched, metric: threshold.metric, threshold: threshold.above, value, direction: above ? 'up' : 'down' };
+        if (threshold.category != null) event.category = threshold.category;
+        else if (threshold.tag != null) event.tag = threshold.tag;
+        this._emit('thresholdCrossed', event);
+      });
+    },
+
+    // Retention
+    // Applies config.retention (or `policy` overrides) to every scope's profile and reports
+    // what went: { removed: [{ scope, bucket, key, reason: ttl|affinity|cap|budget, score }],
+    // counts, events, queries, sessions, conversions, bytesBefore, bytesAfter }. dryRun only reports.
+    compact(options){
+      if (!this._storage) this.init();
+      const o = options || {};
+      const policy = Object.assign({}, this._config.retention, o.policy);
+      const t = this._now();
+      const report = { at: t, dryRun: !!o.dryRun, removed: [], counts: { ttl: 0, affinity: 0, cap: 0, budget: 0 }, events: 0, queries: 0, sessions: 0, conversions: 0, bytesBefore: 0, bytesAfter: 0 };
+      this._storage.scopes().forEach(name => {
+        const store = this._storage.scope(name);
+        const data = clone(store.get());
+        report.bytesBefore += JSON.stringify(data).length;
+        const result = pruneProfile(data, policy, t, (v, from, to) => this._decayValue(v, from, to));
+        report.bytesAfter += JSON.stringify(data).length;
+        result.removed.forEach(r => { report.removed.push(Object.assign({ scope: name }, r)); report.counts[r.reason]++; });
+        ['events', 'queries', 'sessions', 'conversions'].forEach(f => { report[f] += result[f]; });
+        if (o.dryRun) return;
+        ['buckets', 'meta', 'events', 'searches', 'goals'].forEach(field => store.update(field, () => data[field]));
+      });
+      if (!o.dryRun) {
+        this._emit('compact', report);
+        this._notifyChange();
+      }
+      return report;
+    },
+    // Cheap limit check, run on load and after every write whatever intervalMs says: compacts when
+    // a written profile passed retention.maxBytes (bytes) or a bucket outgrew maxKeysPerBucket
+    _checkRetention(bytes){
+      if (!this._storage || this._compacting) return false;
+      const policy = this._config.retention;
+      const over = this._storage.scopes().some(name => {
+        const data = this._storage.scope(name).get();
+        if (policy.maxKeysPerBucket != null && Object.keys(data.buckets).some(b => Object.keys(data.buckets[b]).length > policy.maxKeysPerBucket)) return true;
+        return policy.maxBytes != null && (bytes != null ? bytes : JSON.stringify(data).length) > policy.maxBytes;
+      });
+      if (!over) return false;
+      this._compacting = true;
+      try { this.compact(); } catch(e){ console.warn('InterestKit: compaction failed', e); }
+      this._compacting = false;
+      return true;
+    },
+    // Checks the limits once loaded, then compacts every retention.intervalMs if set; timers don't hold Node open
+    _scheduleCompact(){
+      clearTimeout(this._compactTimer);
+      const ms = this._config.retention.intervalMs;
+      if (!ms) {
+        this._storage.ready().then(() => this._checkRetention());
+        return;
+      }
+      const run = () => {
+        try { this.compact(); } catch(e){ console.warn('InterestKit: compaction failed', e); }
+        this._compactTimer = setTimeout(run, ms);
+        if (this._compactTimer.unref) this._compactTimer.unref();
+      };
+      this._storage.ready().then(() => {
+        this._checkRetention();
+        this._compactTimer = setTimeout(run, Math.min(ms, 10000));
+        if (this._compactTimer.unref) this._compactTimer.unref();
+      });
+    },
+
+    // Segments: named audiences evaluated against the stored profile, e.g.
+    //   { id: 'dessert-lover', label: 'Dessert lover', category: 'Desserts', metric: 'affinity', min: 4, withinDays: 14 }
+    //   { id: 'engaged-cook', all: [{ tag: 'Weeknight', metric: 'clicks', min: 3 }, { key: 'pumpkin-soup', metric: 'count', min: 1 }] }
+    // A condition is key | category | tag, bucket ('items'), metric (affinity | count | clicks | dwellMs),
+    // min and/or max, and optionally withinDays/withinMs (only items seen that recently count).
+    // Segments use `all` (default) or `any` over their conditions; a lone condition can sit on the segment itself.
+    _validateSegment(segment){
+      if (!segment || typeof segment !== 'object') return ['segment must be an object'];
+      const problems = [];
+      if (typeof segment.id !== 'string' || !segment.id) problems.push('id must be a non-empty string');
+      const conditions = this._segmentConditions(segment);
+      if (!conditions.length) problems.push('needs `all`, `any` or a condition (key, category or tag)');
+      conditions.forEach((c, i) => {
+        const at = conditions.length > 1 ? 'condition ' + (i + 1) + ': ' : '';
+        const targets = SEGMENT_TARGETS.filter(f => c[f] != null);
+        if (targets.length !== 1) problems.push(at + 'set exactly one of ' + SEGMENT_TARGETS.join(', '));
+        if (c.metric != null && !SEGMENT_METRICS.includes(c.metric)) problems.push(at + 'unknown metric "' + c.metric + '" (expected one of ' + SEGMENT_METRICS.join(', ') + ')');
+        if (c.min == null && c.max == null) problems.push(at + 'needs min and/or max');
+        ['min', 'max', 'withinDays', 'withinMs'].forEach(f => {
+          if (c[f] != null && !Number.isFinite(c[f])) problems.push(at + f + ' must be a number');
+        });
+      });
+      return problems;
+    },
+    _segmentConditions(segment){
+      if (Array.isArray(segment.all)) return segment.all;
+      if (Array.isArray(segment.any)) return segment.any;
+      return SEGMENT_TARGETS.some(f => segment[f] != null) ? [segment] : [];
+    },
+    // Replaces the segment definitions. Invalid ones are dropped with a warning.
+    setSegments(segments){
+      this._segments = [];
+      (segments || []).forEach(segment => this.addSegment(segment));
+      if (this._storage) this._checkSegments();
+      return this._segments.map(s => s.id);
+    },
+    addSegment(segment){
+      const problems = this._validateSegment(segment);
+      if (problems.length) {
+        console.warn('InterestKit: ignoring invalid segment ' + JSON.stringify(segment) + ': ' + problems.join('; '));
+        return false;
+      }
+      this._segments = this._segments.filter(s => s.id !== segment.id).concat([Object.assign({}, segment)]);
+      return true;
+    },
+    removeSegment(id){
+      const before = this._segments.length;
+      this._segments = this._segments.filter(s => s.id !== id);
+      return this._segments.length !== before;
+    },
+    _conditionValue(c, t){
+      const data = this._storage.get();
+      const bucket = c.bucket || 'items';
+      const metric = c.metric || 'affinity';
+      const within = c.withinMs != null ? c.withinMs : (c.withinDays != null ? c.withinDays * 24 * 60 * 60 * 1000 : Infinity);
+      const byBucket = data.meta[bucket] || {};
+      const counts = data.buckets[bucket] || {};
+      const valueOf = (k) => {
+        const m = byBucket[k] || {};
+        const seen = Math.max(m.lastSeenAt || 0, m.affinityUpdatedAt || 0);
+        if (within !== Infinity && (!seen || t - seen > within)) return 0;
+        if (metric === 'affinity') return this._decayValue(m.affinity || 0, m.affinityUpdatedAt || m.lastSeenAt || t, t);
+        if (metric === 'count') return counts[k] || 0;
+        return m[metric] || 0;
+      };
+      if (c.key != null) return round2(valueOf(String(c.key)));
+      const want = String(c.category != null ? c.category : c.tag).toLowerCase();
+      const keys = new Set(Object.keys(byBucket).concat(Object.keys(counts)));
+      let total = 0;
+      keys.forEach(k => {
+        const item = this._catalog[k];
+        const m = byBucket[k] || {};
+        const matches = c.category != null
+          ? String((item && item.category) || m.category || '').toLowerCase() === want
+          : ((item && item.tags) || [].concat(m.tags || [])).some(tg => String(tg).toLowerCase() === want);
+        if (matches) total += valueOf(k);
+      });
+      return round2(total);
+    },
+    _evaluateSegment(segment, t){
+      const conditions = this._segmentConditions(segment);
+      const results = conditions.map(c => {
+        const value = this._conditionValue(c, t);
+        return { value, pass: (c.min == null || value >= c.min) && (c.max == null || value <= c.max) };
+      });
+      const member = segment.any ? results.some(r => r.pass) : results.every(r => r.pass);
+      return { member, value: results.length === 1 ? results[0].value : results.map(r => r.value) };
+    },
+    // Stores membership and emits segmentChange { id, label, member, value } for every flip
+    _checkSegments(){
+      if (!this._storage || !this._segments.length || !this.hasConsent('analytics')) return;
+      const t = this._now();
+      const stored = this._storage.get().segments || {};
+      const changes = [];
+      this._segments.forEach(segment => {
+        const result = this._evaluateSegment(segment, t);
+        if (result.member !== !!stored[segment.id]) changes.push({ id: segment.id, label: segment.label || segment.id, member: result.member, value: result.value });
+      });
+      if (!changes.length) return;
+      this._storage.update('segments', current => {
+        const next = Object.assign({}, current);
+        changes.forEach(c => { if (c.member) next[c.id] = { since: t }; else delete next[c.id]; });
+        return next;
+      });
+      changes.forEach(c => this._emit('segmentChange', c));
+    },
+    // Segments the profile is in: [{ id, label, since, value }]; options.all adds non-members (member: false)
+    getSegments(options){
+      if (!this._storage) this.init();
+      const t = this._now();
+      const stored = this._storage.get().segments || {};
+      const out = [];
+      this._segments.forEach(segment => {
+        const result = this._evaluateSegment(segment, t);
+        if (!result.member && !(options && options.all)) return;
+        const entry = { id: segment.id, label: segment.label || segment.id, member: result.member, value: result.value };
+        if (result.member) entry.since = (stored[segment.id] && stored[segment.id].since) || t;
+        out.push(entry);
+      });
+      return out;
+    },
+    // Compact profile digest for chat agents and other consumers that should not get the raw data
+    getInterestSummary(n = 3){
+      if (!this._storage) this.init();
+      const t = this._now();
+      const profile = this._interestProfile(t);
+      const top = (map) => Object.keys(map).sort((a,b)=>map[b]-map[a]).slice(0, n);
+      return {
+        segments: this.getSegments().map(s => s.id),
+        categories: top(profile.category),
+        tags: top(profile.tag),
+        items: this.getTopByAffinity('items', n).filter(([, v]) => v > 0).map(([k]) => k),
+        searches: this.getTopQueries(n).map(q => q.query)
+      };
+    },
+
+    // Recommendations
+    // Accepts an array of items or an { id: item } map (like food.html's dishData)
+    registerCatalog(items){
+      const list = Array.isArray(items) ? items : Object.keys(items || {}).map(id => Object.assign({ id }, items[id]));
+      let count = 0;
+      list.forEach(item => {
+        if (!item || item.id == null) return;
+        const id = String(item.id);
+        const price = typeof item.price === 'number' ? item.price : parseFloat(String(item.price || '').replace(/[^0-9.]/g, ''));
+        this._catalog[id] = {
+          id,
+          title: item.title || item.name || id,
+          category: item.category || null,
+          tags: Array.isArray(item.tags) ? item.tags.slice() : splitList(item.tags),
+          price: Number.isFinite(price) ? price : null,
+          page: item.page || null,
+          data: item
+        };
+        count++;
+      });
+      return count;
+    },
+    getCatalog(){ return Object.keys(this._catalog).map(id => this._catalog[id].data); },
+    // Category/tag/search-token interest derived from the stored profile
+    _interestProfile(t){
+      const w = this._config.recommendWeights;
+      const data = this._storage.get();
+      const counts = data.buckets.items || {};
+      const itemsMeta = data.meta.items || {};
+      const profile = { category: {}, tag: {}, search: {} };
+      const categories = new Set();
+      const tags = new Set();
+      Object.keys(this._catalog).forEach(id => {
+        const item = this._catalog[id];
+        if (item.category) categories.add(item.category.toLowerCase());
+        item.tags.forEach(tg => tags.add(tg.toLowerCase()));
+      });
+      const add = (map, k, v) => { if (!k || !v) return; const key = String(k).toLowerCase(); map[key] = (map[key] || 0) + v; };
+      // Affinity earned by catalog items flows to their category and tags
+      Object.keys(itemsMeta).forEach(k => {
+        const item = this._catalog[k];
+        const m = itemsMeta[k];
+        const affinity = this._decayValue(m.affinity || 0, m.affinityUpdatedAt || m.lastSeenAt || t, t);
+        if (!item || !affinity) return;
+        add(profile.category, item.category, affinity);
+        item.tags.forEach(tg => add(profile.tag, tg, affinity));
+      });
+      // Tokens of stored queries count too: profiles from before token records were marked
+      const searched = new Set();
+      Object.keys((data.searches || {}).queries || {}).forEach(q => this._searchTokens(q).forEach(tok => searched.add(tok)));
+      // Tokens from recordTokens/trackSearch, then linked category/tag counters from _handleEvent;
+      // other keys (sections, actions, ...) say nothing about what was searched for
+      Object.keys(counts).forEach(k => {
+        if (this._catalog[k]) return;
+        const m = itemsMeta[k] || {};
+        const v = this._decayValue(counts[k], m.lastSeenAt || t, t) * w.counter;
+        const key = k.toLowerCase();
+        if (m.token || searched.has(key)) add(profile.search, key, v);
+        else if (categories.has(key)) add(profile.category, key, v);
+        else if (tags.has(key)) add(profile.tag, key, v);
+      });
+      return profile;
+    },
+    _scoreItem(item, profile){
+      const w = this._config.recommendWeights;
+      const reasons = [];
+      const c = item.category ? profile.category[item.category.toLowerCase()] : 0;
+      if (c) reasons.push({ kind: 'category', value: item.category, score: c * w.category });
+      item.tags.forEach(tg => {
+        const v = profile.tag[tg.toLowerCase()];
+        if (v) reasons.push({ kind: 'tag', value: tg, score: v * w.tag });
+      });
+      const words = new Set(this._searchTokens([item.title, item.category].concat(item.tags).join(' ')));
+      Object.keys(profile.search).forEach(tok => {
+        if (words.has(tok)) reasons.push({ kind: 'search', value: tok, score: profile.search[tok] * w.search });
+      });
+      reasons.sort((a,b)=>b.score-a.score);
+      reasons.forEach(r => { r.score = round2(r.score); });
+      return { score: round2(reasons.reduce((sum, r) => sum + r.score, 0)), reasons };
+    },
+    _explain(reason){
+      if (!reason) return '';
+      if (reason.kind === 'search') return 'because you searched for "' + reason.value + '"';
+      return 'because you liked ' + reason.value;
+    },
+    // Scores unseen catalog items. Options:
+    //   n (3), exclude: [ids], filter(item) => bool, includeSeen (false),
+    //   diversify: true (one per category first) or a number (max per category)
+    // Nothing is recorded; call markShown() with the keys the page actually displays.
+    recommend(options){
+      if (!this._storage) this.init();
+      const opts = Object.assign({ n: 3, exclude: [], diversify: false, filter: null, includeSeen: false }, options || {});
+      const t = this._now();
+      const profile = this._interestProfile(t);
+      const data = this._storage.get();
+      const seen = (id) => !!((data.buckets.items || {})[id] || ((data.meta.items || {})[id] || {}).affinity);
+      const exclude = new Set((opts.exclude || []).map(String));
+      const scored = [];
+      Object.keys(this._catalog).forEach(id => {
+        const item = this._catalog[id];
+        if (exclude.has(id) || (!opts.includeSeen && seen(id))) return;
+        if (typeof opts.filter === 'function' && !opts.filter(item.data)) return;
+        const result = this._scoreItem(item, profile);
+        if (result.score > 0) scored.push({ item, score: result.score, reasons: result.reasons });
+      });
+      scored.sort((a,b)=>b.score-a.score);
+      const n = toNumber(opts.n, 3);
+      let picked = scored;
+      if (opts.diversify) {
+        const cap = opts.diversify === true ? 1 : toNumber(opts.diversify, 1);
+        const perCategory = {};
+        const first = [];
+        const rest = [];
+        scored.forEach(s => {
+          const c = s.item.category || '';
+          perCategory[c] = (perCategory[c] || 0) + 1;
+          (perCategory[c] <= cap ? first : rest).push(s);
+        });
+        picked = first.concat(rest); // fill from the overflow when there are too few categories
+      }
+      return picked.slice(0, n).map(s => {
+        const explanation = this._explain(s.reasons[0]);
+        return {
+          key: s.item.id,
+          score: s.score,
+          affinity: s.score,
+          explanation,
+          reasons: s.reasons,
+          item: s.item.data,
+          lastSeenAt: t,
+          meta: { source: 'recommend', explanation }
+        };
+      });
+    },
+    // Recommendations the visitor was shown: later interactions with them (within
+    // attribution.lookbackDays) are recommendation touches
+    markShown(keys){
+      const t = this._now();
+      (keys || []).forEach(key => { if (key != null) this._recommended[String(key)] = t; });
+    },
+  };
+
+  function createCore(options){
+    const opts = options || {};
+    const kit = Object.assign({
+      _defaults: DEFAULT_CONFIG,
+      _config: Object.assign({}, DEFAULT_CONFIG),
+      _storage: null,
+      _now: typeof opts.now === 'function' ? opts.now : now,
+      _listeners: {},
+      _thresholds: [],
+      _catalog: {},
+      _rules: DEFAULT_RULES.slice(),
+      _ruleCooldowns: {},
+      _warnedTypes: new Set(),
+      _synonyms: null,
+      _segments: [],
+      _experiments: {},
+      _goals: {},
+      _funnels: [],
+      _recommended: {},
+      _compactTimer: null
+    }, CoreMethods);
+    if (opts.config) kit.init(opts.config);
+    return kit;
+  }
+
+  return {
+    createCore,
+    CoreMethods,
+    DEFAULT_CONFIG,
+    DEFAULT_RULES,
+    DEFAULT_BUCKETS,
+    KNOWN_EVENTS,
+    KIT_EVENTS,
+    KEY_TRANSFORMS,
+    SCHEMA_VERSION,
+    migrate,
+    createData,
+    mergeProfiles,
+    mergeImported,
+    pruneProfile,
+    validateProfile,
+    redactText,
+    redactProfile,
+    experimentReport,
+    attributionReport,
+    funnelReport,
+    InterestStorage,
+    ScopedStorage,
+    MemoryBackend,
+    util: { now, clamp, toNumber, splitList, tokenize, stem, normalizeQuery, round2, uid, clone, isQuotaError }
+  };
+});
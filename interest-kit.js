@@ -7,148 +7,632 @@
   //   <article data-track="click view" data-track-type="recipe" data-track-id="pumpkin-soup" data-track-category="Soups" data-track-tags="Fall,One‑Pot"></article>
   //   <input data-track="input" data-track-type="search" placeholder="Search">  
   //   <select data-track="change" data-track-type="diet">...</select>
+  //   <div data-track="dwell" data-track-type="recipe" data-track-id="pumpkin-soup"> (weight scales with visible time)
+  //
+  // Rules: (type, event[, id]) -> weight/bucket/cap/cooldown/transform, most specific match wins per field.
+  //   InterestKit.init({ rules: [{ type: 'trailer', event: 'click', weight: 4, cooldownMs: 5000 }] });
+  //   InterestKit.addRule({ type: 'search', event: '*', transform: 'lowercase' });
+  //
+  // Events: InterestKit.on(name, handler) returns an unsubscribe function. Names:
+  //   record, affinityChange, thresholdCrossed, reset, import, storageError, consent,
+  //   change (any profile mutation; INTEREST_KIT_DATA and the Agentforce push hang off it),
+  //   sync (another tab changed the shared profile; it has been merged into this one).
+  //   InterestKit.addThreshold({ category: 'Desserts', above: 5 }); // affinity summed over Desserts items
+  //   InterestKit.addThreshold({ key: 'tiramisu', metric: 'count', above: 3 });
+  //   InterestKit.on('thresholdCrossed', e => console.log(e.key, e.direction, e.value));
+  //
+  // Destinations: engagement events are queued (persisted in the configured storage,
+  // localStorage when that is IndexedDB) and delivered in batches to every registered destination, with retry/backoff.
+  //   InterestKit.addDestination(InterestKit.destinations.http({ url: '/collect' }));
+  //   InterestKit.addDestination({ name: 'console', send(batch){ console.log(batch); return true; } });
+  //
+  // Consent: nothing is stored without `analytics`, nothing is exposed to the page
+  // or chat agent without `personalization`, nothing is sent without `sharing`.
+  // Every purpose is denied until the user (setConsent, consentBanner) or the CMP decides; a
+  // profile found in storage without analytics consent (e.g. from an older version) is deleted.
+  //   InterestKit.setConsent({ analytics: true, personalization: true, sharing: false });
+  //
+  // Recommendations: register what the page sells/shows, then ask for unseen items
+  // scored from category, tag and search-token interest.
+  //   InterestKit.registerCatalog([{ id: 'tiramisu', title: 'Tiramisu', category: 'Desserts', tags: ['Coffee'], price: 9 }]);
+  //   InterestKit.recommend({ n: 3, diversify: true }); // [{ key, score, explanation: 'because you liked Desserts', ... }]
+  //   InterestKit.markShown(['tiramisu']); // once rendered: later clicks on it are recommendation touches
+  //
+  // Search: queries typed in quick succession form one query session (refinements);
+  // report result counts so zero-result queries surface, later item clicks are credited.
+  //   InterestKit.trackSearch('vegan ramen', { results: 0 }); // or data-track-results on the input
+  //   InterestKit.getTopQueries(10); InterestKit.getZeroResultQueries(10);
+  //   InterestKit.init({ search: { synonyms: { noodle: ['ramen', 'udon'] } } });
+  //
+  // Segments: named audiences over the profile; membership flips fire segmentChange and the
+  // summary (not the raw profile) goes to the chat agent's session context.
+  //   InterestKit.setSegments([{ id: 'dessert-lover', category: 'Desserts', metric: 'affinity', min: 4, withinDays: 14 }]);
+  //   InterestKit.getSegments(); // [{ id: 'dessert-lover', label, member: true, since, value }]
+  //
+  // Retention: compact() caps keys per bucket, ages keys out by lastSeenAt, drops decayed
+  // affinities (if retention.minAffinity is set) and keeps the stored profile under a byte budget.
+  // It runs by itself on load and after a write once the byte budget or the key cap is exceeded,
+  // and periodically as well when retention.intervalMs is set.
+  //   InterestKit.compact({ dryRun: true }); // { removed: [{ bucket, key, reason }], counts, bytesBefore, bytesAfter }
+  //
+  // Identity: every event carries anonymousId (persisted per browser), sessionId and, once
+  // known, userId. Switching users parks the previous user's profile instead of mixing them.
+  //   InterestKit.identify('user-42', { plan: 'pro' }); InterestKit.logout();
+  //
+  // Experiments: sticky per-browser variants with automatic exposures; conversions credit the
+  // variants already seen. Assignments ride along in export() and go to destinations.
+  //   const layout = InterestKit.experiment('rec-layout', ['grid', 'carousel'], { weights: [1, 1] });
+  //   InterestKit.trackConversion('add_to_cart', { value: 12.5 });
+  //   InterestKit.getExperimentReport('rec-layout', { profiles: exports }); // rate, lift, pValue per variant
+  //
+  // Goals: declared in config.goals or with data-track-goal (a click, or a form's submit, converts;
+  // a click handler can veto it with preventDefault()). Conversions keep the item, category, search
+  // and recommendation touches that preceded them; funnels report drop-off between ordered steps.
+  //   <button data-track-goal="newsletter-join" data-track-goal-value="0">Join</button>
+  //   InterestKit.addFunnel({ id: 'order', steps: [{ event: 'click', type: 'recipe' }, { goal: 'add_to_cart' }] });
+  //   InterestKit.getAttribution({ goal: 'add_to_cart', model: 'time-decay' }); // first-touch | last-touch | linear | time-decay
+  //   InterestKit.getFunnelReport('order'); // { steps: [{ label, reached, rate }], completions }
+  //
+  // Redaction: emails, phone numbers and (Luhn-checked) card numbers in keys, queries and meta become
+  // [email]/[phone]/[card] before anything is stored or sent. Fields marked data-track-sensitive
+  // (and password, email and tel inputs) never give up their value or text; getRedactions() counts what was caught.
+  // Profiles and queued events stored before redaction existed are scrubbed when they load.
+  //   InterestKit.init({ redaction: { patterns: [/\b\d{3}-\d{2}-\d{4}\b/], allow: ['1-800-555-0199'], deny: [/token=/i] } });
+  //   <input data-track="input" data-track-type="action" data-track-id="address" data-track-sensitive>
+  //
+  // Import/export: imports are validated (readable errors, nothing changes on failure) and can merge.
+  //   InterestKit.import(json, { mode: 'merge' }); // { ok: true } | { ok: false, errors: [...] }
+  //   InterestKit.exportAs('ndjson'); InterestKit.exportAs('csv', { bucket: 'items' });
+  //   InterestKit.exportShareCode().then(code => ...); InterestKit.importShareCode(code);
+  //
+  // Debugging: InterestKit.debug(true) or ?interestkit-debug in the URL outlines every
+  // tracked element (red when it has no data-track-id) and shows the live profile.
+  // Pages can configure the auto-init by defining window.INTEREST_KIT_CONFIG before
+  // this script, e.g. { consentBanner: true } or { cmp(apply){ ... } }.
+  //
+  // Storage, scoring, affinity and recommendations live in interest-kit-core.js
+  // (also loadable in Node); include it first. This file is the browser layer.
+  //   <script src="./interest-kit-core.js"></script>
+  //   <script src="./interest-kit.js"></script>
 
-  const DEFAULT_CONFIG = {
-    storageKey: 'interestkit:data',
-    version: 1,
+  const Core = global.InterestKitCore || (typeof require === 'function' ? require('./interest-kit-core.js') : null);
+  if (!Core) {
+    console.error('InterestKit: interest-kit-core.js must be loaded before interest-kit.js');
+    return;
+  }
+  const { InterestStorage, ScopedStorage, MemoryBackend, DEFAULT_BUCKETS } = Core;
+  const { now, clamp, toNumber, splitList, round2, uid } = Core.util;
+
+  // Browser options on top of Core.DEFAULT_CONFIG (storageKey, rules, thresholds, ...)
+  const DEFAULT_CONFIG = Object.assign({}, Core.DEFAULT_CONFIG, {
+    namespace: null, // shared site-wide profile lives at storageKey[:namespace]
+    pageScope: false, // true (per pathname) or a string: also keep a per-page profile next to the shared one
+    readScope: 'site', // which profile backs getTop/getAffinity/...: 'site' | 'page'
     observeMutations: true,
     observeViews: false,
     viewThreshold: 0.4,
+    dwell: { minMs: 1000, unitMs: 5000, maxUnits: 6 }, // data-track="dwell": weight = per-event weight * min(maxUnits, visibleMs / unitMs)
+    scrollDepth: [25, 50, 75, 100], // page scroll milestones (percent) recorded once per page load; false to disable
+    scrollDepthWeight: 0.25,
+    agentforce: true, // push the profile to agentforce_messaging.utilAPI.setEngagement on change
+    agentContext: '_AgentContext', // session context variable that receives getInterestSummary(); false to disable
     debounceMs: 400,
     attributePrefix: 'track', // dataset prefix: dataset.track*, i.e., data-track-*
-    tokenStopWords: new Set(['the','and','for','with','to','of','a','in','on','by','or','at','is','it','how','make','your','you','from']),
     autoHashTracking: true,
-    affinityHalfLifeMs: 1000 * 60 * 60 * 24 * 7 // 7 days
-  };
+    salesforce: true, // register the built-in Salesforce destination on init
+    consent: { analytics: false, personalization: false, sharing: false }, // used until the user or CMP decides
+    consentBanner: false, // show a minimal accept/decline bar until consent is decided (not with a cmp)
+    respectDoNotTrack: true, // navigator.doNotTrack / Global Privacy Control deny everything by default
+    cmp: null, // function(apply): call apply({ analytics, personalization, sharing }) whenever the CMP reports
+    storage: 'local', // 'local' | 'session' | 'indexeddb' | 'memory' | custom backend object
+    delivery: {
+      batchSize: 20,
+      flushIntervalMs: 2000, // batching window, also the poll interval for destinations that aren't ready
+      maxRetries: 8,
+      backoffBaseMs: 1000,
+      maxBackoffMs: 1000 * 60,
+      maxQueueSize: 500, // oldest events are dropped beyond this, per destination
+      leaseMs: 1000 * 30, // a batch one tab is sending is hidden from other tabs this long
+      maxNotReadyPolls: 30 // stop polling a destination that never becomes ready (~1 min)
+    }
+  });
 
-  const DEFAULT_BUCKETS = {
-    recipe: 'items',
-    category: 'items',
-    video: 'items',
-    diet: 'items',
-    search: 'items',
-    section: 'items',
-    action: 'items',
-    tag: 'items',
-    game: 'items',
-    trailer: 'items'
-  };
+  const CONSENT_PURPOSES = ['analytics', 'personalization', 'sharing'];
 
-  function now(){ return Date.now(); }
-  function clamp(n, min, max){ return Math.max(min, Math.min(max, n)); }
-  function toNumber(n, fallback){ const x = Number(n); return Number.isFinite(x) ? x : (fallback ?? 1); }
-  function splitList(str){ return String(str || '').split(/[|,]/).map(s=>s.trim()).filter(Boolean); }
-  function tokenize(value, stop){
-    return String(value || '').toLowerCase()
-      .split(/[^a-z0-9]+/)
-      .filter(t => t && t.length > 1 && !stop.has(t));
+  // Storage backends: { name, getItem(key), setItem(key, value), removeItem(key) }.
+  // Methods may return promises (IndexedDB); InterestStorage handles both.
+  function WebStorageBackend(name){
+    const area = () => global[name === 'session' ? 'sessionStorage' : 'localStorage'];
+    return {
+      name,
+      getItem(key){ return area().getItem(key); },
+      setItem(key, value){ area().setItem(key, value); },
+      removeItem(key){ area().removeItem(key); }
+    };
   }
-  function round2(n){ return Math.round((Number(n)||0) * 100) / 100; }
 
-  function createData(){
-    return { version: DEFAULT_CONFIG.version, updatedAt: now(), buckets: {}, meta: {}, siteTitle: document.title || 'Unknown Site', sessionId: null };
+  function IndexedDBBackend(options){
+    const opts = Object.assign({ dbName: 'interestkit', storeName: 'kv' }, options || {});
+    let dbp = null;
+    function db(){
+      if (!dbp) dbp = new Promise((resolve, reject) => {
+        const req = global.indexedDB.open(opts.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(opts.storeName);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      return dbp;
+    }
+    function run(mode, fn){
+      return db().then(d => new Promise((resolve, reject) => {
+        const tx = d.transaction(opts.storeName, mode);
+        const req = fn(tx.objectStore(opts.storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = tx.onabort = () => reject(tx.error || req.error); // quota surfaces as an abort
+      }));
+    }
+    return {
+      name: 'indexeddb',
+      getItem(key){ return run('readonly', store => store.get(key)).then(v => v == null ? null : v); },
+      setItem(key, value){ return run('readwrite', store => store.put(value, key)); },
+      removeItem(key){ return run('readwrite', store => store.delete(key)); }
+    };
   }
 
-  function InterestStorage(storageKey){
-    let data = load();
+  // Persistent per-destination outbox. Entries survive reloads so events fired
+  // while a destination is loading or the browser is offline are delivered later.
+  // The key is shared by every tab: each change re-reads it before writing, and a
+  // batch being sent is leased to this tab so other tabs don't send it too.
+  function DeliveryQueue(storageKey, opts, backend){
+    const tab = uid();
     function load(){
       try {
-        const raw = global.localStorage.getItem(storageKey);
-        if (!raw) return createData();
-        const obj = JSON.parse(raw);
-        if (!obj || typeof obj !== 'object') return createData();
-        if (!obj.buckets || typeof obj.buckets !== 'object') obj.buckets = {};
-        if (!obj.meta || typeof obj.meta !== 'object') obj.meta = {};
-        
-        // Check if site title has changed - if so, reset data
-        const currentTitle = document.title || 'Unknown Site';
-        if (obj.siteTitle && obj.siteTitle !== currentTitle) {
-          console.log('InterestKit: Site title changed, resetting data');
-          return createData();
-        }
-        
-        // Ensure siteTitle is set
-        if (!obj.siteTitle) obj.siteTitle = currentTitle;
-        
-        return obj;
-      } catch(e){ return createData(); }
+        const raw = backend.getItem(storageKey);
+        const arr = raw ? JSON.parse(raw) : [];
+        return Array.isArray(arr) ? arr : [];
+      } catch(e){ return []; }
+    }
+    function save(items){ try { backend.setItem(storageKey, JSON.stringify(items)); } catch(e){} }
+    function change(fn){ const items = fn(load()); save(items); return items; }
+    const idOf = it => it.id || (it.event && it.event.id);
+    const leasedElsewhere = (it, t) => !!it.lease && it.lease.tab !== tab && it.lease.until > t;
+    function push(event){
+      change(items => {
+        items.push({ id: event.id || uid(), event, attempts: 0, nextAttemptAt: 0 });
+        if (items.length > opts.maxQueueSize) items.splice(0, items.length - opts.maxQueueSize);
+        return items;
+      });
+    }
+    function available(items, t, any){ return items.filter(it => !leasedElsewhere(it, t) && (any || it.nextAttemptAt <= t)); }
+    function hasDue(t){ return available(load(), t, false).length > 0; }
+    // Leases what is due (or, with `any`, everything not leased elsewhere) to this tab
+    function claim(t, any){
+      let batch = [];
+      change(items => {
+        batch = available(items, t, any);
+        if (!any) batch = batch.slice(0, opts.batchSize);
+        batch.forEach(it => { it.lease = { tab, until: t + opts.leaseMs }; });
+        return items;
+      });
+      return batch;
+    }
+    function due(t){ return claim(t, false); }
+    function ack(batch){
+      const ids = new Set(batch.map(idOf));
+      change(items => items.filter(it => !ids.has(idOf(it))));
+    }
+    function fail(batch, t){
+      const ids = new Set(batch.map(idOf));
+      change(items => items.filter(it => {
+        if (!ids.has(idOf(it))) return true;
+        delete it.lease;
+        it.attempts++;
+        const backoff = Math.min(opts.maxBackoffMs, opts.backoffBaseMs * Math.pow(2, it.attempts - 1));
+        it.nextAttemptAt = t + backoff * (0.5 + Math.random() / 2); // jitter
+        return it.attempts <= opts.maxRetries;
+      }));
+    }
+    // Items leased by another tab come back when their lease runs out
+    function nextAttemptAt(t){
+      return load().reduce((min, it) => Math.min(min, leasedElsewhere(it, t) ? it.lease.until : it.nextAttemptAt), Infinity);
+    }
+    // Rewrites queued events in place; fn returns the new event, or null to drop it
+    function rewrite(fn){
+      change(items => items.filter(it => {
+        const event = fn(it.event);
+        if (event == null) return false;
+        it.event = event;
+        return true;
+      }));
+    }
+    function all(){ return load(); }
+    function size(){ return load().length; }
+    function clear(){ save([]); }
+    return { push, hasDue, due, claim, ack, fail, nextAttemptAt, rewrite, all, size, clear };
+  }
+
+  // Built-in destination: POSTs batches as JSON. On pagehide the remaining
+  // queue goes out through navigator.sendBeacon (text/plain keeps it a simple
+  // CORS request; the body is still JSON).
+  function HttpDestination(options){
+    const opts = Object.assign({ name: 'http', url: null, headers: {}, beacon: true }, options || {});
+    function body(batch){ return JSON.stringify({ sentAt: now(), events: batch }); }
+    return {
+      name: opts.name,
+      ready(){ return !!opts.url && typeof global.fetch === 'function'; },
+      send(batch){
+        return global.fetch(opts.url, {
+          method: 'POST',
+          headers: Object.assign({ 'Content-Type': 'application/json' }, opts.headers),
+          body: body(batch),
+          keepalive: true
+        }).then(res => { if (!res.ok) throw new Error('HTTP ' + res.status); return true; });
+      },
+      beacon(batch){
+        if (!opts.beacon || !opts.url || !global.navigator || typeof global.navigator.sendBeacon !== 'function') return false;
+        return global.navigator.sendBeacon(opts.url, new Blob([body(batch)], { type: 'text/plain;charset=UTF-8' }));
+      },
+      // Tell the collector about revocations so it can drop what it already has; a visitor
+      // who never allowed sharing sent nothing, so declining causes no request either
+      onConsent(consent, previous){
+        if (consent.sharing || !(previous && previous.sharing) || !opts.url || typeof global.fetch !== 'function') return;
+        global.fetch(opts.url, {
+          method: 'POST',
+          headers: Object.assign({ 'Content-Type': 'application/json' }, opts.headers),
+          body: JSON.stringify({ sentAt: now(), consent }),
+          keepalive: true
+        }).catch(() => {});
+      }
+    };
+  }
+
+  // Built-in destination: the Salesforce c360a beacon. Not ready until the
+  // script has loaded and SalesforceInteractions.init() resolved.
+  function SalesforceDestination(kit){
+    // deviceId is InterestKit's anonymous id; userId only once identify() was called
+    function identities(evt){
+      const ids = { deviceId: evt.anonymousId };
+      if (evt.userId) ids.userId = evt.userId;
+      return ids;
+    }
+    return {
+      name: 'salesforce',
+      ready(){
+        if (!kit._salesforceInitialized) { kit._loadSalesforceScript(); return false; }
+        return !!(global.SalesforceInteractions && typeof global.SalesforceInteractions.sendEvent === 'function');
+      },
+      send(batch){
+        const sfi = global.SalesforceInteractions;
+        sfi.setLoggingLevel(5);
+        batch.forEach(evt => {
+          if (evt.type === 'identify') {
+            sfi.sendEvent({ user: { identities: identities(evt), attributes: evt.traits || {} } });
+            return;
+          }
+          if (evt.type === 'exposure' || evt.type === 'conversion') {
+            sfi.sendEvent({
+              interaction: evt.type === 'exposure'
+                ? { name: 'Experiment Exposure', eventType: 'exposure', experiment: evt.experiment, variant: evt.variant }
+                : { name: 'Conversion', eventType: 'conversion', goal: evt.goal, value: evt.value, experiments: evt.experiments.map(e => e.experiment + ':' + e.variant).join(', ') },
+              user: { identities: identities(evt) }
+            });
+            return;
+          }
+          sfi.sendEvent({
+            interaction: {
+              name: "item",
+              eventType: "item",
+              title: evt.title,
+              tags: evt.tags,
+              affinity: evt.affinity
+            },
+            user: { identities: identities(evt) }
+          });
+        });
+        return true;
+      },
+      onConsent(consent){
+        const sfi = global.SalesforceInteractions;
+        if (!kit._salesforceInitialized || !sfi || typeof sfi.updateConsents !== 'function') return;
+        sfi.updateConsents([{ provider: 'OneTrust', purpose: 'Tracking', status: consent.sharing ? sfi.ConsentStatus.OptIn : sfi.ConsentStatus.OptOut }]);
+      }
+    };
+  }
+
+  // Minimal consent bar for pages without a CMP. Closes on any decision, including
+  // one made in another tab.
+  function ConsentBanner(kit){
+    const doc = global.document;
+    const CSS = [
+      '.ikc-bar{position:fixed;left:0;right:0;bottom:0;z-index:2147483645;display:flex;flex-wrap:wrap;align-items:center;gap:8px;padding:12px 16px;font:14px/1.4 system-ui,sans-serif;color:#111;background:#fff;border-top:1px solid #ccc;box-shadow:0 -2px 12px rgba(0,0,0,.15)}',
+      '.ikc-bar p{flex:1 1 320px;margin:0}',
+      '.ikc-bar button{font:inherit;padding:6px 12px;border:1px solid #111;border-radius:4px;background:#fff;cursor:pointer}',
+      '.ikc-bar button.ikc-yes{color:#fff;background:#111}'
+    ].join('\n');
+    const CHOICES = [
+      ['Only necessary', { analytics: false, personalization: false, sharing: false }, ''],
+      ['Personalize, don\'t share', { analytics: true, personalization: true, sharing: false }, ''],
+      ['Accept all', { analytics: true, personalization: true, sharing: true }, 'ikc-yes']
+    ];
+    let bar = null;
+    let unsubscribe = null;
+    function open(){
+      if (bar) return;
+      const style = doc.createElement('style');
+      style.textContent = CSS;
+      bar = doc.createElement('div');
+      bar.className = 'ikc-bar';
+      bar.setAttribute('role', 'dialog');
+      bar.setAttribute('aria-label', 'Privacy choices');
+      bar.appendChild(style);
+      const text = doc.createElement('p');
+      text.textContent = 'We remember what you look at on this site to recommend things you may like, and can share it with our marketing tools. Nothing is kept until you choose.';
+      bar.appendChild(text);
+      CHOICES.forEach(([label, consent, className]) => {
+        const button = doc.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', () => kit.setConsent(consent, 'banner'));
+        bar.appendChild(button);
+      });
+      doc.body.appendChild(bar);
+      unsubscribe = kit.on('consent', close);
+    }
+    function close(){
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      if (bar) bar.remove();
+      bar = null;
+    }
+    return { open, close };
+  }
+
+  // Debug inspector: outlines every wired element with its events/type/key and
+  // shows live bucket tables, a stream of recorded events and export/import/reset.
+  function DebugOverlay(kit){
+    const doc = global.document;
+    const CSS = [
+      '.ikd-box{position:absolute;pointer-events:none;outline:2px dashed #2563eb;outline-offset:-1px;z-index:2147483646}',
+      '.ikd-box.ikd-warn{outline-color:#dc2626}',
+      '.ikd-tag{position:absolute;top:0;left:0;max-width:320px;overflow:hidden;white-space:nowrap;text-overflow:ellipsis;font:11px/1.4 monospace;color:#fff;background:#2563eb;padding:0 4px}',
+      '.ikd-warn .ikd-tag{background:#dc2626}',
+      '.ikd-panel{position:fixed;right:12px;bottom:12px;width:380px;max-height:70vh;overflow:auto;z-index:2147483647;font:12px/1.4 monospace;color:#111;background:#fff;border:1px solid #999;border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,.2);padding:8px}',
+      '.ikd-panel h4{margin:8px 0 2px;font-size:12px}',
+      '.ikd-panel table{width:100%;border-collapse:collapse}',
+      '.ikd-panel td{padding:0 4px;border-bottom:1px solid #eee}',
+      '.ikd-panel td:last-child{text-align:right}',
+      '.ikd-panel button,.ikd-panel select{font:inherit;margin:0 4px 4px 0}',
+      '.ikd-stream{max-height:140px;overflow:auto;white-space:pre;background:#f6f6f6;padding:2px 4px}'
+    ].join('\n');
+    let layer = null;
+    let panel = null;
+    let bucket = 'items';
+    let importMode = 'replace';
+    const stream = [];
+    const unsubscribe = [];
+    const render = debounce(() => { outline(); tables(); }, 100);
+    const reposition = debounce(() => outline(), 100);
+
+    function node(tag, className, text){
+      const n = doc.createElement(tag);
+      if (className) n.className = className;
+      if (text != null) n.textContent = text;
+      return n;
+    }
+    function outline(){
+      if (!layer) return;
+      layer.textContent = '';
+      doc.querySelectorAll('[data-track]').forEach(el => {
+        if (!wired.has(el)) return;
+        const r = el.getBoundingClientRect();
+        if (!r.width && !r.height) return;
+        const ds = el.dataset;
+        const events = trackEvents(el);
+        const missingId = !ds.trackId && !ds.trackLabel;
+        const key = kit._elementKey(el, events[0]);
+        const box = node('div', 'ikd-box' + (missingId ? ' ikd-warn' : ''));
+        box.style.cssText = 'left:' + (r.left + global.scrollX) + 'px;top:' + (r.top + global.scrollY) + 'px;width:' + r.width + 'px;height:' + r.height + 'px';
+        const label = [events.join(' '), ds.trackType || '(no type)', missingId ? 'no data-track-id, key "' + key + '"' : key].join(' · ');
+        box.appendChild(node('span', 'ikd-tag', label)).title = label;
+        layer.appendChild(box);
+      });
+    }
+    function table(title, rows){
+      const wrap = node('div');
+      wrap.appendChild(node('h4', null, title));
+      const t = node('table');
+      if (!rows.length) t.appendChild(node('tr')).appendChild(node('td', null, '(empty)'));
+      rows.forEach(([k, v]) => {
+        const tr = t.appendChild(node('tr'));
+        tr.appendChild(node('td', null, k));
+        tr.appendChild(node('td', null, String(v)));
+      });
+      wrap.appendChild(t);
+      return wrap;
+    }
+    function tables(){
+      if (!panel) return;
+      const data = kit.data();
+      const buckets = Array.from(new Set(Object.keys(data.buckets).concat(Object.keys(data.meta)))).sort();
+      if (buckets.length && !buckets.includes(bucket)) bucket = buckets[0];
+      const select = panel.querySelector('select');
+      select.textContent = '';
+      buckets.forEach(b => { const o = select.appendChild(node('option', null, b)); o.value = b; o.selected = b === bucket; });
+      const body = panel.querySelector('.ikd-tables');
+      body.textContent = '';
+      body.appendChild(table('getTop', kit.getTop(bucket, 10)));
+      body.appendChild(table('getTopByClicks', kit.getTopByClicks(bucket, 10)));
+      body.appendChild(table('getTopByAffinity', kit.getTopByAffinity(bucket, 10)));
+      panel.querySelector('.ikd-stream').textContent = stream.join('\n');
+    }
+    function log(line){
+      const d = new Date();
+      stream.unshift(d.toTimeString().slice(0, 8) + ' ' + line);
+      stream.length = Math.min(stream.length, 50);
+      render();
     }
-    function save(){ data.updatedAt = now(); try { global.localStorage.setItem(storageKey, JSON.stringify(data)); } catch(e){} }
-    function inc(bucket, key, weight){
-      if (!bucket || !key) return;
-      const w = toNumber(weight, 1);
-      const buckets = data.buckets;
-      const map = (buckets[bucket] || (buckets[bucket] = {}));
-      map[key] = (map[key] || 0) + w;
-      save();
+    function download(){
+      const blob = new Blob([JSON.stringify(kit.export(), null, 2)], { type: 'application/json' });
+      const a = node('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'interestkit-profile.json';
+      doc.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
     }
-    function set(bucket, key, value){
-      if (!bucket || !key) return;
-      const buckets = data.buckets;
-      const map = (buckets[bucket] || (buckets[bucket] = {}));
-      map[key] = value;
-      save();
+    function upload(input){
+      const file = input.files && input.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const result = kit.import(text, { mode: importMode });
+        log(result.ok ? 'import ' + file.name + ' (' + result.mode + ')' : 'import failed: ' + result.errors.join('; '));
+      })
+        .catch(e => log('import failed: ' + e.message))
+        .then(() => { input.value = ''; });
     }
-    function setMeta(bucket, key, meta){
-      if (!bucket || !key || !meta) return;
-      const byBucket = (data.meta[bucket] || (data.meta[bucket] = {}));
-      const current = byBucket[key] || {};
-      byBucket[key] = Object.assign({}, current, meta);
-      save();
+    function button(text, onClick){
+      const b = node('button', null, text);
+      b.type = 'button';
+      b.addEventListener('click', onClick);
+      return b;
     }
-    function getMeta(bucket, key){
-      const byBucket = data.meta[bucket] || {};
-      return byBucket[key] || {};
+    function open(){
+      const style = node('style', null, CSS);
+      style.id = 'interestkit-debug-style';
+      doc.head.appendChild(style);
+      layer = node('div');
+      layer.id = 'interestkit-debug-layer';
+      doc.body.appendChild(layer);
+      panel = node('div', 'ikd-panel');
+      panel.id = 'interestkit-debug-panel';
+      const file = node('input');
+      file.type = 'file';
+      file.accept = 'application/json,.json';
+      file.hidden = true;
+      file.addEventListener('change', () => upload(file));
+      panel.appendChild(node('strong', null, 'InterestKit debug '));
+      panel.appendChild(button('Export', download));
+      panel.appendChild(button('Import', () => { importMode = 'replace'; file.click(); }));
+      panel.appendChild(button('Merge', () => { importMode = 'merge'; file.click(); }));
+      panel.appendChild(button('Reset', () => { if (global.confirm('Reset the interest profile?')) kit.reset(); }));
+      panel.appendChild(button('Close', () => kit.debug(false)));
+      panel.appendChild(file);
+      const select = panel.appendChild(node('select'));
+      select.addEventListener('change', () => { bucket = select.value; tables(); });
+      panel.appendChild(node('div', 'ikd-tables'));
+      panel.appendChild(node('h4', null, 'Events'));
+      panel.appendChild(node('div', 'ikd-stream'));
+      doc.body.appendChild(panel);
+      unsubscribe.push(
+        kit.on('record', e => log('record ' + e.bucket + '/' + e.key + ' +' + e.weight + (e.meta && e.meta.event ? ' (' + e.meta.event + ')' : ''))),
+        kit.on('affinityChange', e => log('affinity ' + e.bucket + '/' + e.key + ' ' + e.previous + ' -> ' + e.affinity)),
+        kit.on('thresholdCrossed', e => log('threshold ' + e.bucket + '/' + e.key + ' ' + e.metric + ' ' + e.direction + ' ' + e.threshold)),
+        kit.on('reset', () => log('reset')),
+        kit.on('sync', () => log('sync from another tab')),
+        kit.on('segmentChange', e => log('segment ' + e.id + (e.member ? ' joined' : ' left'))),
+        kit.on('compact', e => log('compact -' + e.removed.length + ' keys, ' + e.bytesBefore + ' -> ' + e.bytesAfter + ' bytes')),
+        kit.on('redaction', e => log('redacted ' + Object.keys(e.counts).map(k => k + ' x' + e.counts[k]).join(', ') + ' in ' + e.field)),
+        kit.on('funnelStep', e => log('funnel ' + e.funnel + ' ' + e.step + ': ' + e.label + (e.completed ? ' (completed)' : ''))),
+        kit.on('exposure', e => log('exposure ' + e.experiment + ' = ' + e.variant)),
+        kit.on('conversion', e => log('conversion ' + e.goal + (e.value ? ' ' + e.value : '') + (e.experiments.length ? ' -> ' + e.experiments.map(x => x.experiment + ':' + x.variant).join(', ') : ''))),
+        kit.on('change', () => render())
+      );
+      global.addEventListener('scroll', reposition, { passive: true });
+      global.addEventListener('resize', reposition);
+      outline();
+      tables();
     }
-    function getTop(bucket, n){
-      const map = data.buckets[bucket] || {};
-      return Object.entries(map).sort((a,b)=>b[1]-a[1]).slice(0, toNumber(n, 5));
+    function close(){
+      unsubscribe.splice(0).forEach(off => off());
+      global.removeEventListener('scroll', reposition);
+      global.removeEventListener('resize', reposition);
+      [layer, panel, doc.getElementById('interestkit-debug-style')].forEach(n => { if (n) n.remove(); });
+      layer = panel = null;
     }
-    function get(){ return data; }
-    function exportJSON(){ return JSON.parse(JSON.stringify(data)); }
-    function importJSON(obj){ if (obj && obj.buckets) { data = obj; save(); } }
-    function reset(){ data = createData(); save(); }
-    return { inc, getTop, set, setMeta, getMeta, get, exportJSON, importJSON, reset };
+    return { open, close, refresh: render };
   }
 
+  // Events declared by data-track, e.g. "click view" (defaults to click)
+  function trackEvents(el){ return String(el.dataset.track || 'click').toLowerCase().split(/[\s,]+/).filter(Boolean); }
   function debounce(fn, delay){ let t; return function(...args){ clearTimeout(t); t = setTimeout(()=>fn.apply(this, args), delay); }; }
 
   const wired = new WeakSet();
   const debouncers = new WeakMap();
   let viewObserver = null;
+  let dwellObserver = null;
+  // data-track="dwell" bookkeeping: visible-and-active time per element
+  const dwellState = new WeakMap(); // el -> { since, total }
+  const dwelling = new Set(); // elements currently intersecting
 
-  const InterestKit = {
+  const InterestKit = Object.assign(Core.createCore(), {
+    _defaults: DEFAULT_CONFIG,
     _config: Object.assign({}, DEFAULT_CONFIG),
-    _storage: null,
-    _engagementRetryCount: 0,
-    _maxEngagementRetries: 10,
+    _channel: null,
     _salesforceInitialized: false,
+    _salesforceInitializing: false,
+    _consent: null,
+    _focused: true,
+    _scrollMilestones: new Set(),
+    _destinations: {},
+    _flushTimer: null,
+    _flushAt: Infinity,
+    _debugOverlay: null,
+    _agentContextSent: null,
     _updateGlobalDataExposure(){
       try {
         const data = this._storage ? this._storage.get() : null;
-        // Always expose data if storage exists, regardless of interaction count
-        if (data) {
+        // Expose data whenever storage exists and personalization is allowed
+        if (data && this.hasConsent('personalization')) {
           global.INTEREST_KIT_DATA = data;
         } else {
           try { delete global.INTEREST_KIT_DATA; } catch(e) { global.INTEREST_KIT_DATA = undefined; }
         }
-        this._trySetEngagement();
+        this._emit('change', data);
       } catch(e){}
     },
-    _trySetEngagement(sendSalesforceEvents = false){
-      try {
-        if (global.agentforce_messaging && global.agentforce_messaging.utilAPI && typeof global.agentforce_messaging.utilAPI.setEngagement === 'function' && typeof global.agentforce_messaging.utilAPI.setSessionContext === 'function') {
-          global.agentforce_messaging.utilAPI.setEngagement(global.INTEREST_KIT_DATA);
-          this._engagementRetryCount = 0; // reset on success
-          if (sendSalesforceEvents) {
-            this._sendSalesforceInteractions();
-          }
-        } else if (this._engagementRetryCount < this._maxEngagementRetries) {
-          // Retry after a delay
-          this._engagementRetryCount++;
-          setTimeout(() => this._trySetEngagement(sendSalesforceEvents), 500);
-        }
-      } catch(_) {}
+    // Core hooks
+    _notifyChange(){ this._checkSegments(); this._updateGlobalDataExposure(); },
+    _currentPage(){ return (global.location && global.location.pathname) || null; },
+    // Agentforce: one subscriber of 'change'. Pushes are debounced since a single
+    // interaction mutates the profile several times; the messaging API announces
+    // itself with onEmbeddedMessagingReady, so nothing needs to poll for it.
+    _wireAgentforce(){
+      const push = debounce(() => {
+        const api = global.agentforce_messaging && global.agentforce_messaging.utilAPI;
+        if (!api || typeof api.setEngagement !== 'function' || !this.hasConsent('personalization')) return;
+        try { api.setEngagement(global.INTEREST_KIT_DATA); } catch(_) {}
+      }, 250);
+      this.on('change', push);
+      global.addEventListener('onEmbeddedMessagingReady', push);
+      if (this._config.agentContext) {
+        const context = debounce(() => this.pushAgentContext(), 1000);
+        this.on('change', context);
+        global.addEventListener('onEmbeddedMessagingReady', context);
+      }
+    },
+    // Writes the interest summary (segments, top categories/items/searches) into the
+    // messaging session context. Resolves true once the agent has the current summary.
+    pushAgentContext(){
+      const api = global.agentforce_messaging && global.agentforce_messaging.utilAPI;
+      if (!api || typeof api.setSessionContext !== 'function' || !this.hasConsent('personalization')) return Promise.resolve(false);
+      const summary = this.getInterestSummary();
+      const value = {
+        currentPage: this._currentPage(),
+        segments: summary.segments.join(', '),
+        topCategories: summary.categories.join(', '),
+        topTags: summary.tags.join(', '),
+        topItems: summary.items.join(', '),
+        topSearches: summary.searches.join(', ')
+      };
+      const signature = JSON.stringify(value);
+      if (signature === this._agentContextSent) return Promise.resolve(true);
+      const name = typeof this._config.agentContext === 'string' ? this._config.agentContext : '_AgentContext';
+      return Promise.resolve()
+        .then(() => api.setSessionContext([{ name, value: { valueType: 'StructuredValue', value } }]))
+        .then(() => { this._agentContextSent = signature; return true; })
+        .catch(e => { console.warn('InterestKit: setting agent context failed', e); return false; });
     },
     _loadSalesforceScript(){
       if (global.document && !global.document.querySelector('script[src*="c360a.min.js"]')) {
@@ -166,78 +650,346 @@
     },
     _initSalesforceInteractions(){
       try {
-        if (global.SalesforceInteractions && !this._salesforceInitialized) {
+        if (global.SalesforceInteractions && !this._salesforceInitialized && !this._salesforceInitializing) {
+          this._salesforceInitializing = true;
           global.SalesforceInteractions.init({
             consents: [{
               provider: 'OneTrust',
               purpose: 'Tracking',
-              status: global.SalesforceInteractions.ConsentStatus.OptIn
+              status: this.hasConsent('sharing') ? global.SalesforceInteractions.ConsentStatus.OptIn : global.SalesforceInteractions.ConsentStatus.OptOut
             }]
           }).then(() => {
             console.log('SalesforceInteractions init successful');
             this._salesforceInitialized = true;
-            this._updateSessionId();
+            this._salesforceInitializing = false;
+            this.flush();
           }).catch((err) => {
+            this._salesforceInitializing = false;
             console.warn('SalesforceInteractions init failed:', err);
           });
         }
       } catch(_) {}
     },
+    // Identity fields every outgoing event carries, whatever the destination
+    _identityFields(){
+      const identity = this.getIdentity();
+      return { anonymousId: identity.anonymousId, userId: identity.userId, sessionId: identity.sessionId };
+    },
     _sendNewEngagementEvent(bucket, key, weight, meta){
       try {
-        if (!this._salesforceInitialized) {
-          this._loadSalesforceScript();
-          return;
-        }
-        
-        if (global.SalesforceInteractions && typeof global.SalesforceInteractions.sendEvent === 'function') {
-          global.SalesforceInteractions.setLoggingLevel(5);
-          
-          const affinity = this.getAffinity(bucket, key);
-          const title = meta.title || key;
-          const tags = [meta.genre, meta.category, meta.type].filter(Boolean).join(', ') || 'engagement';
-          
-          global.SalesforceInteractions.sendEvent({
-            interaction: {
-              name: "item",
-              eventType: "item", 
-              title: title,
-              tags: tags,
-              affinity: affinity
-            },
-            user: {
-                identities: {
-                  deviceId: "DEVICE-12345"
-                }
-             }
-          });
-        }
+        const event = Object.assign({
+          id: uid(),
+          type: 'engagement',
+          ts: this._now()
+        }, this._identityFields(), {
+          bucket,
+          key,
+          weight,
+          affinity: this.getAffinity(bucket, key),
+          title: meta.title || key,
+          tags: [meta.genre, meta.category, meta.type].filter(Boolean).join(', ') || 'engagement',
+          meta
+        });
+        this._enqueue(event);
       } catch(_) {}
     },
-    _updateSessionId(){
+    // Delivery
+    _enqueue(event){
+      if (!this.hasConsent('sharing')) return;
+      Object.keys(this._destinations).forEach(name => { const dest = this._destinations[name]; dest.queue.push(event); dest.notReady = 0; });
+      this._scheduleFlush(this._config.delivery.flushIntervalMs);
+    },
+    _scheduleFlush(delay){
+      const at = this._now() + Math.max(0, delay);
+      if (this._flushTimer && this._flushAt <= at) return;
+      clearTimeout(this._flushTimer);
+      this._flushAt = at;
+      this._flushTimer = setTimeout(() => { this._flushTimer = null; this._flushAt = Infinity; this.flush(); }, Math.max(0, delay));
+    },
+    _flushDestination(dest){
+      if (dest.sending || !this.hasConsent('sharing')) return Promise.resolve();
+      const { adapter, queue } = dest;
+      // Nothing due means nothing to get ready for (ready() may load a vendor script)
+      if (!queue.hasDue(this._now())) return Promise.resolve();
+      let ready = true;
+      try { ready = typeof adapter.ready !== 'function' || !!adapter.ready(); } catch(_) { ready = false; }
+      dest.notReady = ready ? 0 : (dest.notReady || 0) + 1;
+      if (!ready) return Promise.resolve();
+      const batch = queue.due(this._now());
+      if (!batch.length) return Promise.resolve();
+      dest.sending = true;
+      return Promise.resolve()
+        .then(() => adapter.send(batch.map(it => it.event)))
+        .then(ok => { if (ok === false) throw new Error('send returned false'); queue.ack(batch); })
+        .catch(err => {
+          queue.fail(batch, this._now());
+          console.warn('InterestKit: delivery to "' + adapter.name + '" failed, will retry', err);
+        })
+        .then(() => { dest.sending = false; });
+    },
+    _rescheduleFlush(){
+      const t = this._now();
+      const interval = this._config.delivery.flushIntervalMs;
+      let next = Infinity;
+      Object.keys(this._destinations).forEach(name => {
+        const dest = this._destinations[name];
+        if (!dest.queue.size()) return;
+        // Items may be due but held back by a destination that isn't ready yet;
+        // give up polling after a while, the next enqueue or flush() tries again
+        if (dest.notReady >= this._config.delivery.maxNotReadyPolls) return;
+        next = Math.min(next, Math.max(dest.queue.nextAttemptAt(t), t + interval));
+      });
+      if (next !== Infinity) this._scheduleFlush(next - t);
+    },
+    _flushOnHide(){
+      Object.keys(this._destinations).forEach(name => {
+        const { adapter, queue } = this._destinations[name];
+        if (typeof adapter.beacon !== 'function') return;
+        const pending = queue.claim(this._now(), true);
+        const size = this._config.delivery.batchSize;
+        for (let i = 0; i < pending.length; i += size) {
+          const batch = pending.slice(i, i + size);
+          try { if (!adapter.beacon(batch.map(it => it.event))) break; } catch(_) { break; }
+          queue.ack(batch);
+        }
+      });
+    },
+    addDestination(adapter){
+      if (!adapter || !adapter.name || typeof adapter.send !== 'function') {
+        console.warn('InterestKit.addDestination: Expected an object with { name, send(batch) }');
+        return false;
+      }
+      const queueKey = this._config.storageKey + ':queue:' + adapter.name;
+      const queue = DeliveryQueue(queueKey, this._config.delivery, this._queueBackend());
+      // Events queued by an earlier page load may predate redaction
+      if (this._config.redaction.enabled && queue.size()) queue.rewrite(event => this._redactQueued(event));
+      this._destinations[adapter.name] = { adapter, queue, sending: false };
+      this._scheduleFlush(0);
+      return true;
+    },
+    // Engagement fields that carry keys and meta; identify traits stay as the page sent them
+    _redactQueued(event){
+      if (!event || typeof event !== 'object') return event;
+      const out = Object.assign({}, event);
+      const denied = ['key', 'title', 'tags'].some(f => {
+        if (typeof out[f] !== 'string') return false;
+        out[f] = this.redact(out[f]);
+        return out[f] == null;
+      });
+      if (denied) return null;
+      if (out.meta && typeof out.meta === 'object') {
+        const meta = {};
+        Object.keys(out.meta).forEach(k => {
+          const v = out.meta[k];
+          if (typeof v === 'string') { const r = this.redact(v); if (r != null) meta[k] = r; }
+          else if (Array.isArray(v)) meta[k] = v.map(x => typeof x === 'string' ? this.redact(x) : x).filter(x => x != null);
+          else meta[k] = v;
+        });
+        out.meta = meta;
+      }
+      return out;
+    },
+    removeDestination(name){
+      const dest = this._destinations[name];
+      if (!dest) return false;
+      dest.queue.clear();
+      delete this._destinations[name];
+      return true;
+    },
+    // Storage
+    _createStorage(){
+      const conf = this._config;
+      const backend = this._backend = this._createBackend(conf.storage);
+      const options = {
+        flushDelayMs: conf.storageFlushMs,
+        onError: (detail) => this._onStorageError(detail),
+        decay: (v, from, to) => this._decayValue(v, from, to),
+        redaction: conf.redaction,
+        canWrite: () => this.hasConsent('analytics'),
+        onWrite: (key, rev, bytes) => { this._broadcast({ type: 'profile', key, rev }); this._checkRetention(bytes); },
+        onSync: (key) => this._onSync(key),
+        now: this._now
+      };
+      const siteKey = conf.storageKey + (conf.namespace ? ':' + conf.namespace : '');
+      const stores = { site: InterestStorage(siteKey, backend, Object.assign({ scope: 'site' }, options)) };
+      if (conf.pageScope) {
+        const page = conf.pageScope === true ? ((global.location && global.location.pathname) || '/') : String(conf.pageScope);
+        stores.page = InterestStorage(siteKey + ':page:' + page, backend, Object.assign({ scope: 'page:' + page }, options));
+      }
+      return ScopedStorage(stores, conf.readScope);
+    },
+    // The outbox is read and written synchronously, so an async backend
+    // (IndexedDB) keeps its queues in localStorage instead
+    _queueBackend(){
+      if (this._outboxBackend) return this._outboxBackend;
+      let backend = this._backend || this._createBackend(this._config.storage);
       try {
-        if (global.SalesforceInteractions && typeof global.SalesforceInteractions.getAnonymousId === 'function') {
-          const sessionId = global.SalesforceInteractions.getAnonymousId();
-          if (sessionId && this._storage) {
-            const data = this._storage.get();
-            data.sessionId = sessionId;
-            this._storage.get = () => data; // Update the stored data
-            this._updateGlobalDataExposure();
-            console.log('SessionId updated:', sessionId);
-          }
+        const probe = backend.getItem(this._config.storageKey + ':probe');
+        if (probe && typeof probe.then === 'function') { probe.then(null, () => {}); backend = this._createBackend('local'); }
+      } catch(e){}
+      return (this._outboxBackend = backend);
+    },
+    _createBackend(spec){
+      if (spec && typeof spec === 'object') {
+        if (typeof spec.getItem === 'function' && typeof spec.setItem === 'function' && typeof spec.removeItem === 'function') return spec;
+        console.warn('InterestKit: storage backend needs getItem/setItem/removeItem, falling back to memory');
+        return MemoryBackend();
+      }
+      try {
+        if (spec === 'memory') return MemoryBackend();
+        if (spec === 'indexeddb') {
+          if (global.indexedDB) return IndexedDBBackend();
+        } else {
+          const backend = WebStorageBackend(spec === 'session' ? 'session' : 'local');
+          const probe = this._config.storageKey + ':probe';
+          backend.setItem(probe, '1');
+          backend.removeItem(probe);
+          return backend;
         }
-      } catch(_) {}
+      } catch(e){}
+      console.warn('InterestKit: storage "' + spec + '" unavailable, falling back to memory');
+      return MemoryBackend();
+    },
+    _onStorageError(detail){
+      if (detail.type === 'quota') console.warn('InterestKit: storage quota exceeded (' + detail.backend + ', ' + detail.bytes + ' bytes), profile changes are not being persisted');
+      else console.warn('InterestKit: storage ' + detail.type + ' failed', detail.error);
+      this._emit('storageError', detail);
+      try { global.dispatchEvent(new CustomEvent('interestkit:storageerror', { detail })); } catch(_) {}
+    },
+    // Cross-tab sync: `storage` events cover localStorage, a BroadcastChannel
+    // covers IndexedDB and carries consent and recommendation updates.
+    _wireTabSync(){
+      if ('BroadcastChannel' in global) {
+        try {
+          this._channel = new BroadcastChannel(this._config.storageKey);
+          this._channel.onmessage = (e) => this._onBroadcast(e.data || {});
+        } catch(e){ this._channel = null; }
+      }
+      global.addEventListener('storage', (e) => {
+        if (!e.key) return;
+        if (e.key === this._consentKey()) {
+          let consent = null;
+          try { consent = e.newValue ? JSON.parse(e.newValue) : null; } catch(_) { return; } // foreign or corrupt value
+          this._onRemoteConsent(consent);
+        } else if (this._storage.keys().includes(e.key)) this._storage.sync(e.key, e.newValue);
+      });
+    },
+    _broadcast(message){
+      if (!this._channel) return;
+      try { this._channel.postMessage(message); } catch(_) {}
+    },
+    _onBroadcast(msg){
+      if (msg.type === 'profile' && this._storage.keys().includes(msg.key)) this._storage.sync(msg.key);
+      else if (msg.type === 'consent') this._onRemoteConsent(msg.consent);
+      else if (msg.type === 'recommendations') this.setRecommendations(msg.dishes, { broadcast: false });
+    },
+    _onRemoteConsent(consent){
+      if (!consent || typeof consent !== 'object') return;
+      const prev = this._consent || {};
+      this._consent = consent;
+      // The tab that revoked already removed the stored profile; drop our in-memory copy too
+      if (prev.analytics && !consent.analytics) this._storage.purge();
+      if ((prev.analytics && !consent.analytics) || (prev.sharing && !consent.sharing)) this._clearQueues();
+      this._emit('consent', this.getConsent());
+      this._updateGlobalDataExposure();
+    },
+    _onSync(key){
+      this._emit('sync', { key, data: this._storage.get() });
+      this._notifyChange();
+    },
+    // Consent
+    _consentKey(){ return this._config.storageKey + ':consent'; },
+    _resolveConsent(){
+      const conf = this._config;
+      try {
+        const raw = global.localStorage.getItem(this._consentKey());
+        const stored = raw ? JSON.parse(raw) : null;
+        if (stored && typeof stored === 'object') return stored;
+      } catch(e){}
+      const nav = global.navigator || {};
+      const optedOut = conf.respectDoNotTrack && (nav.doNotTrack === '1' || global.doNotTrack === '1' || nav.globalPrivacyControl === true);
+      const consent = { source: optedOut ? 'browser' : 'default', updatedAt: null };
+      CONSENT_PURPOSES.forEach(p => { consent[p] = optedOut ? false : !!(conf.consent || {})[p]; });
+      return consent;
+    },
+    hasConsent(purpose){
+      if (!this._consent) return false;
+      return !!this._consent[purpose];
+    },
+    getConsent(){ return Object.assign({}, this._consent); },
+    setConsent(update, source){
+      if (!this._storage) this.init();
+      const prev = this._consent;
+      const next = { source: source || 'user', updatedAt: this._now() };
+      CONSENT_PURPOSES.forEach(p => { next[p] = (update && typeof update[p] === 'boolean') ? update[p] : !!prev[p]; });
+      this._consent = next;
+      // The choice itself is strictly necessary, so it is persisted regardless
+      try { global.localStorage.setItem(this._consentKey(), JSON.stringify(next)); } catch(e){}
+      if (prev.analytics && !next.analytics) this._storage.purge();
+      // Queued events carry profile data, so they go with either revocation
+      if ((prev.analytics && !next.analytics) || (prev.sharing && !next.sharing)) this._clearQueues();
+      // Destinations only hear about sharing being granted or revoked: onConsent(consent, previous)
+      if (!!prev.sharing !== next.sharing) Object.keys(this._destinations).forEach(name => {
+        const adapter = this._destinations[name].adapter;
+        try { if (typeof adapter.onConsent === 'function') adapter.onConsent(this.getConsent(), Object.assign({}, prev)); } catch(_) {}
+      });
+      this._emit('consent', this.getConsent());
+      this._broadcast({ type: 'consent', consent: this.getConsent() });
+      this._updateGlobalDataExposure();
+      if (next.sharing && !prev.sharing) this.flush();
+      return this.getConsent();
+    },
+    _clearQueues(){
+      Object.keys(this._destinations).forEach(name => this._destinations[name].queue.clear());
+    },
+    flush(){
+      if (global.navigator && global.navigator.onLine === false) return Promise.resolve(false);
+      const pending = Object.keys(this._destinations).map(name => this._flushDestination(this._destinations[name]));
+      return Promise.all(pending).then(() => { this._rescheduleFlush(); return true; });
     },
     init(userConfig){
       if (this._storage) return this; // already initialized
-      this._config = Object.assign({}, DEFAULT_CONFIG, userConfig || {});
-      this._storage = InterestStorage(this._config.storageKey);
-      // Expose data globally and call agentforce_messaging on init
-      this._updateGlobalDataExposure();
+      this._setup(userConfig);
+      this._consent = this._resolveConsent();
+      // Profiles stored without analytics consent (e.g. before consent existed) are dropped, not upgraded
+      if (!this._consent.analytics) this._storage.purge();
+      if (typeof this._config.cmp === 'function') {
+        try { this._config.cmp(update => this.setConsent(update, 'cmp')); } catch(e){ console.warn('InterestKit: CMP callback failed', e); }
+      } else if (this._config.consentBanner && this._consent.source === 'default') {
+        const show = () => { if (this._consent.source === 'default') ConsentBanner(this).open(); };
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', show);
+        else show();
+      }
+      this._wireTabSync();
+      // Destinations learn about identify() through the same queue as engagement events
+      this.on('identify', identity => this._enqueue(Object.assign({ id: uid(), type: 'identify', ts: this._now() }, this._identityFields(), { previousUserId: identity.previousUserId, traits: identity.traits })));
+      // One exposure per assignment and every conversion, so collectors can rebuild the report
+      this.on('exposure', e => { this._enqueue(Object.assign({ id: uid(), type: 'exposure', ts: this._now() }, this._identityFields(), { experiment: e.experiment, variant: e.variant })); });
+      this.on('conversion', e => this._enqueue(Object.assign({ id: uid(), type: 'conversion', ts: this._now() }, this._identityFields(), { goal: e.goal, value: e.value, experiments: e.experiments })));
+      if (this._config.agentforce) this._wireAgentforce();
+      // Destinations and delivery
+      if (this._config.salesforce) this.addDestination(SalesforceDestination(this));
+      global.addEventListener('online', () => this.flush());
+      global.addEventListener('pagehide', () => { this._pauseDwell(true); this._storage.flush(); this._flushOnHide(); });
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') { this._pauseDwell(true); this._storage.flush(); }
+        else this._resumeDwell();
+      });
+      // Evaluate segments, expose data globally and call agentforce_messaging on init
+      this._notifyChange();
       // Observers
       if (this._config.observeViews && 'IntersectionObserver' in global) {
         viewObserver = new IntersectionObserver(this._onView.bind(this), { threshold: clamp(this._config.viewThreshold, 0.1, 1) });
       }
+      if ('IntersectionObserver' in global) {
+        dwellObserver = new IntersectionObserver(this._onDwell.bind(this), { threshold: clamp(this._config.viewThreshold, 0.1, 1) });
+        this._focused = typeof document.hasFocus === 'function' ? document.hasFocus() : true;
+        global.addEventListener('blur', () => { this._focused = false; this._pauseDwell(false); });
+        global.addEventListener('focus', () => { this._focused = true; this._resumeDwell(); });
+      }
+      if (Array.isArray(this._config.scrollDepth) && this._config.scrollDepth.length) {
+        global.addEventListener('scroll', debounce(() => this._onScroll(), 150), { passive: true });
+      }
       if (this._config.observeMutations && 'MutationObserver' in global) {
         const mo = new MutationObserver((muts)=>{
           muts.forEach(m => {
@@ -252,11 +1004,14 @@
           if (id) this.record({ bucket: DEFAULT_BUCKETS.section, key: id, weight: 1, meta: { event: 'hashchange' } });
         });
       }
+      document.addEventListener('click', (e) => this._onGoal(e));
+      document.addEventListener('submit', (e) => this._onGoal(e));
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', ()=> this.scan(document));
       } else {
         this.scan(document);
       }
+      if (/[?&]interestkit-debug\b/.test((global.location && global.location.search) || '')) this.debug(true);
       return this;
     },
     _collectMeta(el){
@@ -283,12 +1038,30 @@
       const scope = root || document;
       const nodes = scope.querySelectorAll('[data-track]');
       nodes.forEach(el => this._wire(el));
+      scope.querySelectorAll('[data-track-goal]').forEach(el => this._declareGoal(el));
+      if (this._debugOverlay && nodes.length) this._debugOverlay.refresh();
       return nodes.length;
     },
+    // Inspector overlay for tracked elements and the live profile; also opened by ?interestkit-debug
+    debug(on){
+      const enable = on !== false;
+      if (enable && !this._debugOverlay) {
+        const open = () => {
+          if (this._debugOverlay) return;
+          this._debugOverlay = DebugOverlay(this);
+          this._debugOverlay.open();
+        };
+        if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', open);
+        else open();
+      } else if (!enable && this._debugOverlay) {
+        this._debugOverlay.close();
+        this._debugOverlay = null;
+      }
+      return enable;
+    },
     _wire(el){
       if (wired.has(el)) return;
-      const ds = el.dataset;
-      const types = String(ds.track || 'click').toLowerCase().split(/[\s,]+/).filter(Boolean);
+      const types = trackEvents(el);
       const shouldObserveView = types.includes('view') && viewObserver;
       // Assign listeners based on declared events
       if (types.includes('click')) el.addEventListener('click', (e) => this._handleEvent(el, 'click', e));
@@ -302,8 +1075,26 @@
         el.addEventListener('input', (e)=> deb(e));
       }
       if (shouldObserveView) viewObserver.observe(el);
+      if (types.includes('dwell') && dwellObserver) dwellObserver.observe(el);
       wired.add(el);
     },
+    _declareGoal(el){
+      const ds = el.dataset;
+      if (ds.trackGoal && !this._goals[ds.trackGoal]) {
+        this.addGoal({ id: ds.trackGoal, label: ds.trackGoalLabel || ds.trackGoal });
+      }
+    },
+    // Delegated from the document so goals on elements rendered later work without a scan, and
+    // after the element's own handlers so those can cancel the conversion with preventDefault()
+    _onGoal(e){
+      const el = e.target && typeof e.target.closest === 'function' ? e.target.closest('[data-track-goal]') : null;
+      if (!el || !el.dataset.trackGoal) return;
+      const isForm = el.tagName === 'FORM';
+      if (isForm !== (e.type === 'submit') || (!isForm && e.defaultPrevented)) return;
+      const ds = el.dataset;
+      this._declareGoal(el);
+      this.trackConversion(ds.trackGoal, ds.trackGoalValue != null ? { value: toNumber(ds.trackGoalValue, 0) } : null);
+    },
     _onView(entries){
       entries.forEach(entry => {
         if (entry.isIntersecting) {
@@ -313,40 +1104,128 @@
         }
       });
     },
-    _handleEvent(el, eventType, rawEvent){
+    // Dwell: time counts only while the element intersects, the tab is visible
+    // and the window focused. It is committed when the element leaves the
+    // viewport or the page is hidden.
+    _dwellActive(){ return document.visibilityState !== 'hidden' && this._focused; },
+    _onDwell(entries){
+      const t = this._now();
+      entries.forEach(entry => {
+        const el = entry.target;
+        const st = dwellState.get(el) || { since: null, total: 0 };
+        dwellState.set(el, st);
+        if (entry.isIntersecting) {
+          dwelling.add(el);
+          if (st.since == null && this._dwellActive()) st.since = t;
+        } else if (dwelling.has(el)) {
+          dwelling.delete(el);
+          if (st.since != null) { st.total += t - st.since; st.since = null; }
+          this._commitDwell(el, st);
+        }
+      });
+    },
+    _pauseDwell(commit){
+      const t = this._now();
+      dwelling.forEach(el => {
+        const st = dwellState.get(el);
+        if (st.since != null) { st.total += t - st.since; st.since = null; }
+        if (commit) this._commitDwell(el, st);
+      });
+    },
+    _resumeDwell(){
+      if (!this._dwellActive()) return;
+      const t = this._now();
+      dwelling.forEach(el => { const st = dwellState.get(el); if (st.since == null) st.since = t; });
+    },
+    _commitDwell(el, st){
+      const ms = st.total;
+      st.total = 0;
+      const conf = this._config.dwell;
+      if (ms < conf.minMs) return;
+      this._handleEvent(el, 'dwell', null, { units: Math.min(conf.maxUnits, ms / conf.unitMs), dwellMs: ms });
+    },
+    _onScroll(){
+      const doc = document.documentElement;
+      const height = Math.max(doc.scrollHeight || 0, (document.body && document.body.scrollHeight) || 0);
+      if (!height) return;
+      const depth = Math.min(100, ((global.scrollY || doc.scrollTop || 0) + (global.innerHeight || 0)) / height * 100);
+      this._config.scrollDepth.forEach(milestone => {
+        if (depth < milestone || this._scrollMilestones.has(milestone)) return;
+        this._scrollMilestones.add(milestone);
+        this._recordScrollDepth(milestone);
+      });
+    },
+    _recordScrollDepth(milestone){
+      if (!this.hasConsent('analytics')) return;
+      const bucket = DEFAULT_BUCKETS.page;
+      const key = (global.location && global.location.pathname) || '/';
+      const weight = this._config.scrollDepthWeight;
+      this.record({ bucket, key, weight, meta: { event: 'scroll', type: 'page', lastSeenAt: this._now() } });
+      this._storage.updateMeta(bucket, key, prev => ({ scrollDepth: milestone, maxScrollDepth: Math.max(prev.maxScrollDepth || 0, milestone) }));
+      this._updateAffinity(bucket, key, weight);
+    },
+    // data-track-sensitive on the element or an ancestor, and password/email/tel inputs
+    _isSensitive(el){
+      return ['password', 'email', 'tel'].includes(el.type) || (typeof el.closest === 'function' && !!el.closest('[data-track-sensitive]'));
+    },
+    // Key for an element's event: data-track-id/-label, else derived from the element
+    _elementKey(el, eventType){
+      const ds = el.dataset;
+      const type = (ds.trackType || '').toLowerCase();
+      const key = ds.trackId || ds.trackLabel || '';
+      if (key) return key;
+      if (type === 'section') return (el.getAttribute('href') || '').replace(/^#/, '') || el.id || el.name || 'section';
+      if (this._isSensitive(el)) return el.name || el.id || type || 'sensitive';
+      if (el.value && (eventType === 'change' || eventType === 'input')) return String(el.value).trim();
+      return (el.textContent || '').trim().slice(0, 64) || (el.id || el.className || 'item');
+    },
+    // measured: { units, dwellMs } for events whose weight scales with a measurement (dwell)
+    _handleEvent(el, eventType, rawEvent, measured){
+      if (!this.hasConsent('analytics')) return;
       try {
         const ds = el.dataset;
         const type = (ds.trackType || '').toLowerCase();
-        const bucket = ds.trackBucket || (DEFAULT_BUCKETS[type] || 'actions');
-        const weight = toNumber(ds.trackWeight, this._defaultWeightFor(eventType, type));
-        // Determine key/label
-        let key = ds.trackId || ds.trackLabel || '';
-        if (!key) {
-          if (type === 'section') key = (el.getAttribute('href') || '').replace(/^#/, '') || el.id || el.name || 'section';
-          else if (el.value && (eventType === 'change' || eventType === 'input')) key = String(el.value).trim();
-          else key = (el.textContent || '').trim().slice(0, 64) || (el.id || el.className || 'item');
-        }
+        const sensitive = this._isSensitive(el);
+        let key = this._elementKey(el, eventType);
+        // Sensitive fields are still counted as interactions, under their name instead of their value
+        if (sensitive && !(ds.trackId || ds.trackLabel)) this._noteRedaction('key', { sensitive: 1 });
+        // Search queries are redacted by trackSearch; everything else before rules, storage or destinations
+        if (type !== 'search' || sensitive) key = this._redact(key, 'key');
+        if (!key) return;
+
+        const rule = this._ruleFor(type, eventType, key, ds.trackBucket);
+        const bucket = ds.trackBucket || rule.bucket || DEFAULT_BUCKETS[type] || 'actions';
+        let weight = toNumber(ds.trackWeight, rule.weight);
+        if (measured && measured.units != null) weight = round2(weight * measured.units);
+        key = this._applyTransform(rule.transform, key, el);
+        if (!key) return;
+        weight = this._applyLimits(rule, type, eventType, bucket, key, weight);
+        if (weight == null) return;
 
-        // Special handling for search inputs
-        if (type === 'search') {
-          this.recordSearch(el.value, weight);
+        // Search inputs become query sessions; data-track-results carries the page's result count
+        if (type === 'search' && !sensitive) {
+          this.trackSearch(el.value, { weight, results: ds.trackResults });
           return;
         }
 
         // Record the main item and optional metadata
-        const meta = this._collectMeta(el);
-        meta.event = eventType; meta.type = type; meta.lastSeenAt = now();
+        const meta = this._redactMeta(this._collectMeta(el));
+        meta.event = eventType; meta.type = type; meta.lastSeenAt = this._now();
         this.record({ bucket, key, weight, meta });
 
         // Interest score: count clicks per item
         if (eventType === 'click') {
-          const prev = this._storage.getMeta(bucket, key) || {};
-          const clicks = (prev.clicks || 0) + 1;
-          this._storage.setMeta(bucket, key, { clicks, lastClickAt: now() });
+          this._storage.updateMeta(bucket, key, prev => ({ clicks: (prev.clicks || 0) + 1, lastClickAt: this._now() }));
           this._updateGlobalDataExposure();
           
-          // Send new click events to Salesforce
+          // Queue new click events for the registered destinations
           this._sendNewEngagementEvent(bucket, key, weight, meta);
+          // A click on an identified item right after a search counts as that query's result click
+          if (ds.trackId) this.creditSearch(bucket, key);
+        }
+
+        if (eventType === 'dwell' && measured) {
+          this._storage.updateMeta(bucket, key, prev => ({ dwellMs: (prev.dwellMs || 0) + measured.dwellMs, lastDwellMs: measured.dwellMs }));
         }
 
         // Affinity score: exponential time-decayed weight accumulation
@@ -360,61 +1239,19 @@
         // Silent by default
       }
     },
-    _defaultWeightFor(eventType, type){
-      if (type === 'recipe' && eventType === 'click') return 3;
-      if (type === 'recipe' && eventType === 'view') return 2;
-      if (type === 'video' && eventType === 'click') return 2;
-      if (eventType === 'input') return 0.5;
-      return 1;
-    },
-    // Public API
-    record({ bucket, key, weight = 1, meta }){
-      if (!this._storage) this.init();
-      this._storage.inc(bucket, key, weight);
-      if (meta && typeof meta === 'object') this._storage.setMeta(bucket, key, meta);
-      this._updateGlobalDataExposure();
-    },
-    recordTokens(bucket, value, weight = 1){
-      if (!this._storage) this.init();
-      tokenize(value, this._config.tokenStopWords).forEach(tok => this._storage.inc(bucket, tok, weight));
-      this._updateGlobalDataExposure();
-    },
-    recordSearch(query, weight = 1){
-      this.recordTokens(DEFAULT_BUCKETS.search, query, weight);
+    // Built-in destination factories for addDestination()
+    destinations: {
+      http: HttpDestination,
+      salesforce(){ return SalesforceDestination(InterestKit); }
     },
-    getTop(bucket, n){
-      if (!this._storage) this.init();
-      return this._storage.getTop(bucket, n);
-    },
-    export(){ return this._storage ? this._storage.exportJSON() : createData(); },
-    import(obj){ if (!this._storage) this.init(); this._storage.importJSON(obj); this._updateGlobalDataExposure(); },
-    reset(){ if (!this._storage) this.init(); this._storage.reset(); this._updateGlobalDataExposure(); },
-    data(){ return this._storage ? this._storage.get() : createData(); },
-    getClickCount(bucket, key){ if (!this._storage) this.init(); const m=this._storage.getMeta(bucket,key)||{}; return m.clicks||0; },
-    getTopByClicks(bucket, n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const byBucket=(data.meta[bucket]||{}); return Object.entries(byBucket).map(([k,v])=>[k, v.clicks||0]).sort((a,b)=>b[1]-a[1]).slice(0,n); },
-    // Affinity helpers
-    _decayValue(current, lastTs, nowTs){
-      const halfLife = this._config.affinityHalfLifeMs;
-      if (!current || !lastTs) return current || 0;
-      const lambda = Math.LN2 / halfLife; // per ms
-      const dt = Math.max(0, nowTs - lastTs);
-      return current * Math.exp(-lambda * dt);
-    },
-    _updateAffinity(bucket, key, delta){
-      if (!this._storage) this.init();
-      const t = now();
-      const meta = this._storage.getMeta(bucket, key) || {};
-      const prevAffinity = meta.affinity || 0;
-      const decayed = this._decayValue(prevAffinity, meta.affinityUpdatedAt || meta.lastSeenAt || t, t);
-      const affinity = round2(decayed + (Number(delta) || 0));
-      this._storage.setMeta(bucket, key, { affinity, affinityUpdatedAt: t });
-      this._updateGlobalDataExposure();
-      return affinity;
+    // Built-in storage backend factories for init({ storage })
+    storages: {
+      local(){ return WebStorageBackend('local'); },
+      session(){ return WebStorageBackend('session'); },
+      indexedDB: IndexedDBBackend,
+      memory: MemoryBackend
     },
-    getAffinity(bucket, key){ if (!this._storage) this.init(); const m=this._storage.getMeta(bucket,key)||{}; return round2(this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||now(), now())); },
-    getTopByAffinity(bucket, n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const byBucket=(data.meta[bucket]||{}); const t=now(); const entries=Object.entries(byBucket).map(([k,m])=>{ const v=this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||t, t); return [k, round2(v)]; }); return entries.sort((a,b)=>b[1]-a[1]).slice(0,n); },
-    getTopItems(n=5){ if(!this._storage) this.init(); const data=this._storage.get(); const itemsMeta=(data.meta||{}).items||{}; const t=now(); const entries=[]; Object.entries(itemsMeta).forEach(([k,m])=>{ const affinity=this._decayValue(m.affinity||0, m.affinityUpdatedAt||m.lastSeenAt||t, t); const lastSeen=m.lastSeenAt||m.affinityUpdatedAt||0; entries.push({key:k,affinity:round2(affinity),lastSeenAt:lastSeen,meta:m}); }); return entries.sort((a,b)=>{ const diff=b.affinity-a.affinity; if(diff!==0)return diff; return b.lastSeenAt-a.lastSeenAt; }).slice(0,n); },
-    
+
     // Set custom recommendations API
     // Pass an array of dish IDs OR dish objects to display in the recommendations section
     // Example 1 (dish IDs): InterestKit.setRecommendations(['margherita-pizza', 'pad-thai', 'tiramisu'])
@@ -422,7 +1259,8 @@
     //   { id: 'custom-1', name: 'Special Pizza', price: 19.99, image: './assets/pizza.jpg' },
     //   { id: 'custom-2', name: 'Deluxe Pasta', price: 24.99, image: './assets/pasta.jpg' }
     // ])
-    setRecommendations(dishes){
+    // options.broadcast (default true): mirror the list to other open tabs
+    setRecommendations(dishes, options){
       if (!Array.isArray(dishes) || dishes.length === 0) {
         console.warn('InterestKit.setRecommendations: Expected non-empty array of dish IDs or dish objects');
         return false;
@@ -459,7 +1297,7 @@
             return {
               key: id,
               affinity: 10 - index,
-              lastSeenAt: now(),
+              lastSeenAt: this._now(),
               meta: { 
                 source: 'custom',
                 index,
@@ -474,15 +1312,27 @@
             };
           });
         } else {
-          // Format dish IDs into the expected structure (backward compatible)
-          recommendations = dishes.map((dishId, index) => ({
-            key: dishId,
-            affinity: 10 - index,
-            lastSeenAt: now(),
-            meta: { source: 'custom', index }
-          }));
+          // Format dish IDs into the expected structure (backward compatible).
+          // Catalog items get their real score and explanation; order is kept as given.
+          const profile = this._storage ? this._interestProfile(this._now()) : null;
+          recommendations = dishes.map((dishId, index) => {
+            const item = this._catalog[dishId];
+            const result = item && profile ? this._scoreItem(item, profile) : null;
+            const meta = { source: 'custom', index };
+            if (result) meta.explanation = this._explain(result.reasons[0]);
+            return {
+              key: dishId,
+              affinity: result ? result.score : 0,
+              lastSeenAt: this._now(),
+              meta
+            };
+          });
         }
         
+        if (!options || options.broadcast !== false) this._broadcast({ type: 'recommendations', dishes });
+        // Interactions with these dishes count as recommendation touches for attribution
+        this.markShown(recommendations.map(r => r.key));
+
         // Call the global renderRecommendations function if it exists
         if (typeof global.renderRecommendations === 'function') {
           console.log('InterestKit: Calling renderRecommendations with', recommendations.length, 'items');
@@ -500,11 +1350,11 @@
         return false;
       }
     }
-  };
+  });
 
   // Attach globally
   global.InterestKit = InterestKit;
   // Auto-init in browsers
-  try { InterestKit.init(); } catch(e){}
+  try { InterestKit.init(global.INTEREST_KIT_CONFIG); } catch(e){}
 
 })(typeof window !== 'undefined' ? window : (typeof globalThis !== 'undefined' ? globalThis : this));
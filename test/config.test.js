@@ -0,0 +1,11 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTab } = require('./helpers/browser.js');
+
+test('partial browser option groups keep the defaults they leave out', () => {
+  const { kit } = createTab({ config: { dwell: { minMs: 500 }, delivery: { batchSize: 5 } } });
+  assert.deepStrictEqual(Object.assign({}, kit._config.dwell), { minMs: 500, unitMs: 5000, maxUnits: 6 });
+  assert.strictEqual(kit._config.delivery.batchSize, 5);
+  assert.strictEqual(kit._config.delivery.maxRetries, 8);
+});
@@ -0,0 +1,68 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTab } = require('./helpers/browser.js');
+
+const QUEUE_KEY = 'interestkit:data:queue:collector';
+const collector = { name: 'collector', ready: () => false, send: () => true };
+
+test('every purpose is denied until a decision is made', () => {
+  const { kit, store } = createTab();
+  assert.deepStrictEqual(Object.assign({}, kit.getConsent()), { source: 'default', updatedAt: null, analytics: false, personalization: false, sharing: false });
+  kit.record({ bucket: 'items', key: 'tiramisu' });
+  assert.strictEqual(kit.data().buckets.items, undefined);
+  assert.strictEqual([...store.keys()].some(k => k.startsWith('interestkit:data') && !k.endsWith(':consent')), false);
+  kit.setConsent({ analytics: true }, 'banner');
+  kit.record({ bucket: 'items', key: 'tiramisu' });
+  assert.strictEqual(kit.data().buckets.items.tiramisu, 1);
+});
+
+for (const purpose of ['analytics', 'sharing']) {
+  test('revoking ' + purpose + ' drops events already waiting in the outbox', () => {
+    const { kit, store } = createTab({ config: { consent: { analytics: true, personalization: true, sharing: true } } });
+    kit.addDestination(collector); // never ready, so events stay queued
+    kit._enqueue({ id: 'e1', type: 'test' });
+    kit._enqueue({ id: 'e2', type: 'test' });
+    assert.strictEqual(JSON.parse(store.get(QUEUE_KEY)).length, 2);
+    kit.setConsent({ [purpose]: false });
+    assert.deepStrictEqual(JSON.parse(store.get(QUEUE_KEY)), []);
+    assert.strictEqual(kit._destinations.collector.queue.size(), 0);
+  });
+}
+
+test('a revocation in another tab empties that tab\'s view of the outbox too', () => {
+  const store = new Map();
+  const config = { consent: { analytics: true, personalization: true, sharing: true } };
+  const a = createTab({ store, config });
+  const b = createTab({ store, config });
+  a.kit.addDestination(collector);
+  b.kit.addDestination(collector);
+  a.kit._enqueue({ id: 'e1', type: 'test' });
+  a.kit.setConsent({ analytics: false });
+  b.kit._onRemoteConsent(a.kit.getConsent());
+  assert.strictEqual(b.kit._destinations.collector.queue.size(), 0);
+  assert.strictEqual(b.kit.hasConsent('analytics'), false);
+});
+
+test('a profile stored without analytics consent is dropped on load, not upgraded', () => {
+  const store = new Map([['interestkit:data', JSON.stringify({ version: 1, siteTitle: 'Food', buckets: { items: { tiramisu: 2 } }, meta: {} })]]);
+  const { kit, clock } = createTab({ store, config: { respectDoNotTrack: false } });
+  clock.advance(60 * 1000);
+  assert.strictEqual(store.has('interestkit:data'), false);
+  assert.strictEqual(kit.data().buckets.items, undefined);
+});
+
+test('an upgraded profile is written back when analytics consent exists', () => {
+  const store = new Map([['interestkit:data', JSON.stringify({ version: 1, siteTitle: 'Food', buckets: { items: { tiramisu: 2 } }, meta: {} })]]);
+  const { clock } = createTab({ store, config: { respectDoNotTrack: false, consent: { analytics: true } } });
+  clock.advance(60 * 1000);
+  const stored = JSON.parse(store.get('interestkit:data'));
+  assert.strictEqual(stored.version, 10);
+  assert.strictEqual(stored.buckets.items.tiramisu, 2);
+});
+
+test('a malformed consent value from another tab is ignored', () => {
+  const { kit, win } = createTab({ config: { consent: { analytics: true } } });
+  assert.doesNotThrow(() => win.dispatch('storage', { key: 'interestkit:data:consent', newValue: '{not json' }));
+  assert.strictEqual(kit.hasConsent('analytics'), true);
+});
@@ -0,0 +1,437 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCore, createData, mergeProfiles, migrate, MemoryBackend, SCHEMA_VERSION } = require('../interest-kit-core.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function kit(clock, config){
+  return createCore({ now: () => clock.t, config: Object.assign({ storageFlushMs: 0, affinityHalfLifeMs: DAY }, config) });
+}
+
+test('_decayValue halves per half-life and ignores missing timestamps', () => {
+  const k = kit({ t: 0 });
+  assert.strictEqual(k._decayValue(8, 1000, 1000), 8);
+  assert.ok(Math.abs(k._decayValue(8, DAY, 2 * DAY) - 4) < 1e-9);
+  assert.ok(Math.abs(k._decayValue(8, DAY, 4 * DAY) - 1) < 1e-9);
+  assert.strictEqual(k._decayValue(8, 0, DAY), 8, 'no timestamp means nothing to decay from');
+  assert.strictEqual(k._decayValue(0, 0, DAY), 0);
+  assert.strictEqual(k._decayValue(5, DAY, 0), 5, 'a timestamp in the future does not grow the value');
+});
+
+test('_updateAffinity decays the stored value before adding the delta', () => {
+  const clock = { t: 10 * DAY };
+  const k = kit(clock);
+  assert.strictEqual(k._updateAffinity('items', 'tiramisu', 4), 4);
+  clock.t += DAY;
+  assert.strictEqual(k.getAffinity('items', 'tiramisu'), 2);
+  assert.strictEqual(k._updateAffinity('items', 'tiramisu', 1), 3);
+  const meta = k.data().meta.items.tiramisu;
+  assert.strictEqual(meta.affinityUpdatedAt, clock.t);
+});
+
+test('_updateAffinity emits affinityChange with the previous value', () => {
+  const clock = { t: DAY };
+  const k = kit(clock);
+  const seen = [];
+  k.on('affinityChange', e => seen.push([e.key, e.previous, e.affinity, e.delta]));
+  k._updateAffinity('items', 'flan', 2);
+  k._updateAffinity('items', 'flan', 1);
+  assert.deepStrictEqual(seen, [['flan', 0, 2, 2], ['flan', 2, 3, 1]]);
+});
+
+test('mergeProfiles adds counter deltas from both sides', () => {
+  const base = createData('site', 0);
+  base.buckets.items = { a: 2 };
+  const local = JSON.parse(JSON.stringify(base));
+  local.buckets.items.a = 5;
+  local.buckets.items.b = 1;
+  const remote = JSON.parse(JSON.stringify(base));
+  remote.buckets.items.a = 4;
+  const out = mergeProfiles(base, local, remote, v => v);
+  assert.deepStrictEqual(out.buckets.items, { a: 7, b: 1 });
+});
+
+test('mergeProfiles sums additive meta and keeps the newest *At timestamp', () => {
+  const base = createData('site', 0);
+  base.meta.items = { a: { clicks: 1, lastClickAt: 100, title: 'A' } };
+  const local = JSON.parse(JSON.stringify(base));
+  Object.assign(local.meta.items.a, { clicks: 3, lastClickAt: 300, title: 'A (local)' });
+  const remote = JSON.parse(JSON.stringify(base));
+  Object.assign(remote.meta.items.a, { clicks: 2, lastClickAt: 500 });
+  const out = mergeProfiles(base, local, remote, v => v);
+  assert.strictEqual(out.meta.items.a.clicks, 4);
+  assert.strictEqual(out.meta.items.a.lastClickAt, 500);
+  assert.strictEqual(out.meta.items.a.title, 'A (local)');
+});
+
+test('mergeProfiles combines affinities by decaying both sides to the newer timestamp', () => {
+  const k = kit({ t: 0 });
+  const decay = (v, from, to) => k._decayValue(v, from, to);
+  const base = createData('site', 0);
+  const local = createData('site', 0);
+  local.meta.items = { a: { affinity: 4, affinityUpdatedAt: DAY } };
+  const remote = createData('site', 0);
+  remote.meta.items = { a: { affinity: 2, affinityUpdatedAt: 2 * DAY } };
+  const out = mergeProfiles(base, local, remote, decay);
+  assert.strictEqual(out.meta.items.a.affinity, 4); // 2 + 4 decayed by one half-life
+  assert.strictEqual(out.meta.items.a.affinityUpdatedAt, 2 * DAY);
+});
+
+test('mergeProfiles unions the event log without duplicates', () => {
+  const e = (ts, key) => ({ ts, event: 'click', bucket: 'items', key, sessionId: 's' });
+  const base = createData('site', 0);
+  base.events = [e(1, 'a')];
+  const local = JSON.parse(JSON.stringify(base));
+  local.events.push(e(3, 'c'));
+  const remote = JSON.parse(JSON.stringify(base));
+  remote.events.push(e(2, 'b'));
+  const out = mergeProfiles(base, local, remote, v => v);
+  assert.deepStrictEqual(out.events.map(x => x.key), ['a', 'b', 'c']);
+});
+
+test('mergeProfiles keeps the anonymous id that was stored first', () => {
+  const base = createData('site', 0);
+  const local = createData('site', 0);
+  local.identity = { anonymousId: 'local', userId: null, traits: {} };
+  const remote = createData('site', 0);
+  remote.identity = { anonymousId: 'remote', userId: null, traits: {} };
+  assert.strictEqual(mergeProfiles(base, local, remote, v => v).identity.anonymousId, 'remote');
+});
+
+test('recommendations take search interest only from searches, not from other clicks', () => {
+  const k = kit({ t: DAY });
+  k.registerCatalog([
+    { id: 'margherita', title: 'Margherita Pizza', category: 'Italian', tags: ['Cheese'] },
+    { id: 'tonkotsu', title: 'Tonkotsu Ramen', category: 'Japanese', tags: ['Soup'] }
+  ]);
+  k.record({ bucket: 'items', key: 'pizza', meta: { type: 'section' } }); // a section link, not a query
+  assert.deepStrictEqual(k.recommend(), []);
+  k.trackSearch('ramen');
+  const [top] = k.recommend();
+  assert.strictEqual(top.key, 'tonkotsu');
+  assert.strictEqual(top.explanation, 'because you searched for "ramen"');
+});
+
+test('only recommendations marked as shown earn recommendation touches', () => {
+  const k = kit({ t: DAY });
+  k.registerCatalog([
+    { id: 'margherita', title: 'Margherita Pizza', category: 'Italian' },
+    { id: 'lasagna', title: 'Lasagna', category: 'Italian' }
+  ]);
+  k.record({ bucket: 'items', key: 'italian', meta: { type: 'category' } });
+  assert.strictEqual(k.recommend({ n: 2 }).length, 2);
+  k.markShown(['lasagna']);
+  k.record({ bucket: 'items', key: 'margherita' });
+  k.record({ bucket: 'items', key: 'lasagna' });
+  const touches = k.data().goals.touches.slice(-2);
+  assert.deepStrictEqual(touches.map(x => [x.key, x.source || null]), [['margherita', null], ['lasagna', 'recommendation']]);
+});
+
+test('partial option groups keep the defaults they leave out', () => {
+  const k = createCore({ config: { storageFlushMs: 0, recommendWeights: { search: 2 }, retention: { maxKeysPerBucket: 10 } } });
+  assert.deepStrictEqual(k._config.recommendWeights, { category: 1, tag: 0.5, search: 2, counter: 0.25 });
+  assert.strictEqual(k._config.retention.maxKeysPerBucket, 10);
+  assert.strictEqual(k._config.retention.ttlDays, k._defaults.retention.ttlDays);
+});
+
+test('thresholds can watch the affinity of a whole category', () => {
+  const clock = { t: DAY };
+  const k = kit(clock);
+  k.registerCatalog([
+    { id: 'tiramisu', title: 'Tiramisu', category: 'Desserts' },
+    { id: 'brownies', title: 'Brownies', category: 'Desserts' },
+    { id: 'ramen', title: 'Ramen', category: 'Japanese' }
+  ]);
+  const crossed = [];
+  k.on('thresholdCrossed', e => crossed.push([e.key, e.category, e.direction, e.value]));
+  k.addThreshold({ category: 'Desserts', above: 5 });
+  k._updateAffinity('items', 'tiramisu', 3);
+  k._updateAffinity('items', 'ramen', 4);
+  assert.deepStrictEqual(crossed, []);
+  k._updateAffinity('items', 'brownies', 3);
+  assert.deepStrictEqual(crossed, [['Desserts', 'Desserts', 'up', 6]]);
+  clock.t += DAY;
+  k._updateAffinity('items', 'ramen', 1);
+  assert.deepStrictEqual(crossed[1], ['Desserts', 'Desserts', 'down', 3]);
+});
+
+test('mergeProfiles keeps keys and events removed on one side removed', () => {
+  const base = createData('site', 0);
+  base.buckets.items = { stale: 1, kept: 2, touched: 1 };
+  base.meta.items = { stale: { lastSeenAt: 1 }, kept: { lastSeenAt: 2 }, touched: { lastSeenAt: 1 } };
+  base.events = [{ ts: 1, event: 'click', bucket: 'items', key: 'stale' }];
+  const local = JSON.parse(JSON.stringify(base)); // this tab compacted
+  delete local.buckets.items.stale; delete local.meta.items.stale;
+  delete local.buckets.items.touched; delete local.meta.items.touched;
+  local.events = [];
+  const remote = JSON.parse(JSON.stringify(base));
+  remote.buckets.items.touched = 2; // used again in the other tab since
+  const out = mergeProfiles(base, local, remote, v => v);
+  assert.deepStrictEqual(out.buckets.items, { kept: 2, touched: 2 });
+  assert.deepStrictEqual(Object.keys(out.meta.items).sort(), ['kept', 'touched']);
+  assert.deepStrictEqual(out.events, []);
+});
+
+test('compaction is off unless retention.intervalMs is set', () => {
+  const k = kit({ t: DAY });
+  assert.strictEqual(k._compactTimer, null);
+  assert.strictEqual(k._config.retention.minAffinity, null);
+});
+
+test('the key cap and byte budget are enforced after writes without the periodic timer', () => {
+  const k = kit({ t: DAY }, { eventLog: true, retention: { maxKeysPerBucket: 3, maxBytes: 4000 } });
+  const compacts = [];
+  k.on('compact', e => compacts.push(e.counts));
+  ['a', 'b', 'c', 'd', 'e'].forEach((key, i) => k.record({ bucket: 'items', key, weight: i + 1 }));
+  k._storage.flush();
+  assert.deepStrictEqual(Object.keys(k.data().buckets.items).sort(), ['c', 'd', 'e']);
+  for (let i = 0; i < 60; i++) k.record({ bucket: 'items', key: 'e' });
+  k._storage.flush();
+  assert.ok(JSON.stringify(k.data()).length <= 4000);
+  assert.strictEqual(compacts.length, 2);
+});
+
+test('a stored profile over the limits is compacted on load', async () => {
+  const backend = MemoryBackend();
+  const items = {};
+  for (let i = 0; i < 20; i++) items['dish-' + i] = i + 1;
+  backend.setItem('interestkit:data', JSON.stringify(Object.assign(createData('site', DAY), { buckets: { items } })));
+  const k = createCore({ now: () => DAY, config: { storage: backend, storageFlushMs: 0, retention: { maxKeysPerBucket: 5 } } });
+  await k.ready();
+  assert.strictEqual(Object.keys(k.data().buckets.items).length, 5);
+});
+
+test("import merge adds up both profiles and keeps this browser's session", () => {
+  const clock = { t: 10 * DAY };
+  const k = kit(clock);
+  k.record({ bucket: 'items', key: 'tiramisu' });
+  k.trackSearch('pizza');
+  k.trackConversion('add_to_cart', { value: 10 });
+  const session = k.data().session;
+
+  const other = kit({ t: 5 * DAY });
+  other.record({ bucket: 'items', key: 'tiramisu' });
+  other.record({ bucket: 'items', key: 'ramen' });
+  other.trackSearch('sushi');
+  other.trackConversion('add_to_cart', { value: 5 });
+  const exported = other.export();
+  exported.session = { id: 'newer', startedAt: 20 * DAY, lastEventAt: 20 * DAY };
+
+  assert.strictEqual(k.import(exported, { mode: 'merge' }).ok, true);
+  const data = k.data();
+  assert.strictEqual(data.buckets.items.tiramisu, 2);
+  assert.strictEqual(data.buckets.items.ramen, 1);
+  assert.deepStrictEqual(Object.keys(data.searches.queries).sort(), ['pizza', 'sushi']);
+  assert.strictEqual(data.searches.sessions.length, 2);
+  assert.deepStrictEqual(data.goals.totals.add_to_cart, { count: 2, value: 15, firstAt: 5 * DAY, lastAt: 10 * DAY });
+  assert.strictEqual(data.goals.conversions.length, 2);
+  assert.deepStrictEqual(data.goals.touches.map(x => x.key), ['tiramisu', 'ramen', 'sushi', 'tiramisu', 'pizza']);
+  assert.deepStrictEqual(data.session, session);
+});
+
+test("import merge sums funnel counts without taking over the other side's progress", () => {
+  const funnels = [{ id: 'order', steps: [{ event: 'record' }, { goal: 'add_to_cart' }] }];
+  const k = kit({ t: DAY }, { funnels });
+  k.record({ bucket: 'items', key: 'tiramisu' });
+  k.trackConversion('add_to_cart');
+  const other = kit({ t: DAY }, { funnels });
+  other.record({ bucket: 'items', key: 'ramen' });
+  k.import(other.export(), { mode: 'merge' });
+  const st = k.data().goals.funnels.order;
+  assert.deepStrictEqual(st.reached, [2, 1]);
+  assert.strictEqual(st.completions, 1);
+  assert.strictEqual(st.step, 0);
+});
+
+test('experiment counts one exposure per user however often it is called', () => {
+  const clock = { t: DAY };
+  const k = kit(clock);
+  const seen = [];
+  k.on('exposure', e => seen.push(e.variant));
+  const variant = k.experiment('layout', ['a', 'b']);
+  clock.t += DAY;
+  assert.strictEqual(k.experiment('layout', ['a', 'b']), variant);
+  assert.strictEqual(k.experiment('layout', ['a', 'b']), variant);
+  assert.deepStrictEqual(seen, [variant]);
+  const entry = k.data().experiments.layout;
+  assert.strictEqual(entry.firstExposedAt, DAY);
+  assert.strictEqual(entry.lastExposedAt, 2 * DAY);
+  const report = k.getExperimentReport('layout');
+  assert.strictEqual(report.variants.find(v => v.variant === variant).users, 1);
+});
+
+test('a v1 profile is upgraded step by step to the current schema', () => {
+  const v1 = { version: 1, siteTitle: 'Food', sessionId: 'sf-123', buckets: { items: { tiramisu: 2, 'call 555-123-4567': 1 } }, meta: { items: { tiramisu: { lastSeenAt: DAY } } } };
+  const data = migrate(JSON.parse(JSON.stringify(v1)), { scope: 'site', now: () => DAY });
+  assert.strictEqual(data.version, SCHEMA_VERSION);
+  assert.strictEqual(SCHEMA_VERSION, 10);
+  assert.strictEqual('siteTitle' in data, false); // v2
+  assert.strictEqual(data.scope, 'site');
+  assert.deepStrictEqual([data.events, data.session], [[], null]); // v3
+  assert.deepStrictEqual(data.searches, { queries: {}, sessions: [] }); // v4
+  assert.deepStrictEqual(data.segments, {}); // v5
+  assert.strictEqual('sessionId' in data, false); // v6
+  assert.strictEqual(data.identity, null);
+  assert.deepStrictEqual(data.experiments, {}); // v7
+  assert.deepStrictEqual(data.goals, { totals: {}, touches: [], conversions: [], funnels: {} }); // v8
+  assert.deepStrictEqual(data.redactions.counts, { phone: 1 }); // v9, then v10 scrubbed the old key
+  assert.deepStrictEqual(data.buckets.items, { tiramisu: 2, 'call [phone]': 1 });
+});
+
+test('a profile from a newer schema is kept as-is', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    const future = { version: SCHEMA_VERSION + 1, buckets: { items: { tiramisu: 1 } }, meta: {}, hologram: true };
+    const data = migrate(JSON.parse(JSON.stringify(future)), { scope: 'site' });
+    assert.deepStrictEqual(data, future);
+    assert.match(warnings[0], /newer than v10/);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('a corrupt stored profile loads as an empty one', () => {
+  const backend = MemoryBackend();
+  backend.setItem('interestkit:data', '{"version":3,"buckets":');
+  const k = createCore({ now: () => DAY, config: { storage: backend, storageFlushMs: 0 } });
+  assert.deepStrictEqual(k.data().buckets, {});
+  assert.strictEqual(k.data().version, SCHEMA_VERSION);
+  k.record({ bucket: 'items', key: 'tiramisu' });
+  assert.strictEqual(k.data().buckets.items.tiramisu, 1);
+});
+
+test('search tokens are stemmed unless stemming is off', () => {
+  const k = kit({ t: DAY });
+  k.trackSearch('Grilled Noodles');
+  assert.deepStrictEqual(Object.keys(k.data().buckets.items).sort(), ['grill', 'noodle']);
+  const raw = kit({ t: DAY }, { search: { stemming: false } });
+  raw.trackSearch('Grilled Noodles');
+  assert.deepStrictEqual(Object.keys(raw.data().buckets.items).sort(), ['grilled', 'noodles']);
+});
+
+test('synonyms are recorded as their canonical term', () => {
+  const k = kit({ t: DAY }, { search: { synonyms: { aubergine: ['eggplant', 'brinjal'] } } });
+  k.trackSearch('eggplant curry');
+  k.trackSearch('Brinjals');
+  assert.deepStrictEqual(k.data().buckets.items, { aubergine: 2, curry: 1 });
+});
+
+test('zero-result queries are counted once per search and listed most failing first', () => {
+  const clock = { t: DAY };
+  const k = kit(clock);
+  const first = k.trackSearch('unicorn cake', { results: 0 });
+  assert.strictEqual(first.zeroResult, true);
+  clock.t += 10 * 60 * 1000; // a new query session
+  k.trackSearch('unicorn cake', { results: 0 });
+  k.trackSearch('dragon fruit');
+  k.trackSearch('dragon fruit', { results: 0 }); // the count arrives after the query
+  k.trackSearch('pizza', { results: 12 });
+  const zero = k.getZeroResultQueries().map(q => [q.query, q.count, q.zeroResults]);
+  assert.deepStrictEqual(zero, [['unicorn cake', 2, 2], ['dragon fruit', 1, 1]]);
+});
+
+test('repeating the current query fills in its results instead of counting it again', () => {
+  const k = kit({ t: DAY });
+  k.trackSearch('ramen');
+  const repeat = k.trackSearch('Ramen ', { results: 3 });
+  assert.strictEqual(repeat.refinement, false);
+  const refined = k.trackSearch('spicy ramen');
+  assert.strictEqual(refined.refinement, true);
+  const [session] = k.getSearchSessions();
+  assert.deepStrictEqual(session.queries.map(q => [q.query, q.results, q.refines || null]), [['ramen', 3, null], ['spicy ramen', null, 'ramen']]);
+  assert.strictEqual(k.getTopQueries().find(q => q.query === 'ramen').count, 1);
+  assert.strictEqual(k.data().buckets.items.ramen, 2); // once per distinct query, not per repeat
+});
+
+test('segments combine conditions with all (the default) or any', () => {
+  const k = kit({ t: DAY }, {
+    segments: [
+      { id: 'both', all: [{ key: 'tiramisu', metric: 'count', min: 1 }, { key: 'ramen', metric: 'count', min: 1 }] },
+      { id: 'either', any: [{ key: 'tiramisu', metric: 'count', min: 1 }, { key: 'ramen', metric: 'count', min: 1 }] }
+    ]
+  });
+  k.record({ bucket: 'items', key: 'tiramisu' });
+  assert.deepStrictEqual(k.getSegments().map(s => s.id), ['either']);
+  k.record({ bucket: 'items', key: 'ramen' });
+  assert.deepStrictEqual(k.getSegments().map(s => s.id), ['both', 'either']);
+  assert.deepStrictEqual(k.getSegments({ all: true }).find(s => s.id === 'both').value, [1, 1]);
+});
+
+test('segment min and max are inclusive and membership flips fire segmentChange', () => {
+  const clock = { t: DAY };
+  const k = kit(clock);
+  k.registerCatalog([{ id: 'tiramisu', title: 'Tiramisu', category: 'Desserts' }, { id: 'brownies', title: 'Brownies', category: 'Desserts' }]);
+  const changes = [];
+  k.on('segmentChange', e => changes.push([e.id, e.member, e.value]));
+  k.setSegments([
+    { id: 'dessert-lover', category: 'Desserts', metric: 'affinity', min: 4 },
+    { id: 'casual', category: 'Desserts', metric: 'affinity', min: 1, max: 2 }
+  ]);
+  k._updateAffinity('items', 'tiramisu', 2);
+  k._notifyChange();
+  assert.deepStrictEqual(changes, [['casual', true, 2]]);
+  k._updateAffinity('items', 'brownies', 2);
+  k._notifyChange();
+  assert.deepStrictEqual(changes.slice(1), [['dessert-lover', true, 4], ['casual', false, 4]]);
+  clock.t += DAY; // affinity halves to 2
+  k._notifyChange();
+  assert.deepStrictEqual(changes.slice(3), [['dessert-lover', false, 2], ['casual', true, 2]]);
+});
+
+test('withinDays only counts items seen that recently', () => {
+  const clock = { t: DAY };
+  const k = kit(clock, { segments: [{ id: 'recent', key: 'tiramisu', metric: 'count', min: 1, withinDays: 7 }] });
+  k.record({ bucket: 'items', key: 'tiramisu', meta: { lastSeenAt: clock.t } });
+  assert.deepStrictEqual(k.getSegments().map(s => s.id), ['recent']);
+  clock.t += 8 * DAY;
+  assert.deepStrictEqual(k.getSegments(), []);
+});
+
+test('conditions on a bucket that was never recorded are zero, not errors', () => {
+  const k = kit({ t: DAY }, {
+    segments: [
+      { id: 'watcher', bucket: 'videos', category: 'Cooking', metric: 'dwellMs', min: 1 },
+      { id: 'no-videos', bucket: 'videos', key: 'intro', metric: 'count', max: 0 }
+    ]
+  });
+  const segments = k.getSegments({ all: true });
+  assert.deepStrictEqual(segments.map(s => [s.id, s.member, s.value]), [['watcher', false, 0], ['no-videos', true, 0]]);
+});
+
+test('invalid segments are rejected with a warning', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    const k = kit({ t: DAY });
+    assert.strictEqual(k.addSegment({ id: 'x', key: 'a', category: 'b', min: 1 }), false);
+    assert.strictEqual(k.addSegment({ id: 'y', key: 'a', metric: 'views', min: 1 }), false);
+    assert.strictEqual(k.addSegment({ id: 'z', key: 'a' }), false);
+    assert.deepStrictEqual(k.setSegments([{ id: 'ok', key: 'a', min: 1 }]), ['ok']);
+    assert.match(warnings[0], /set exactly one of key, category, tag/);
+    assert.match(warnings[1], /unknown metric "views"/);
+    assert.match(warnings[2], /needs min and\/or max/);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('an unknown data-track-type only warns when the element has no bucket of its own', () => {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    const k = createCore({ config: { storageFlushMs: 0 } });
+    k._ruleFor('recipe-card', 'click', 'ramen', 'recipes');
+    assert.deepStrictEqual(warnings, []);
+    k._ruleFor('recipe-card', 'click', 'ramen');
+    k._ruleFor('recipe-card', 'click', 'udon');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /unknown data-track-type "recipe-card"/);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,123 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTab, createClock } = require('./helpers/browser.js');
+
+const CONSENT = { consent: { analytics: true, personalization: true, sharing: true }, respectDoNotTrack: false };
+const QUEUE_KEY = 'interestkit:data:queue:collector';
+
+function collector(log, options){
+  const opts = options || {};
+  return {
+    name: 'collector',
+    ready(){ log.ready = (log.ready || 0) + 1; return opts.ready ? opts.ready() : true; },
+    send(batch){ log.sent.push(...batch.map(e => e.id)); return opts.send ? opts.send(batch) : true; }
+  };
+}
+
+test('two tabs share one outbox without losing or duplicating events', async () => {
+  const store = new Map();
+  const clock = createClock();
+  const a = createTab({ store, clock, config: CONSENT });
+  const b = createTab({ store, clock, config: CONSENT });
+  const log = { sent: [] };
+  let release;
+  a.kit.addDestination(collector(log, { send: () => new Promise(resolve => { release = resolve; }) }));
+  b.kit.addDestination(collector(log));
+
+  a.kit._enqueue({ id: 'e1', type: 'test' });
+  b.kit._enqueue({ id: 'e2', type: 'test' });
+  assert.deepStrictEqual(JSON.parse(store.get(QUEUE_KEY)).map(it => it.id), ['e1', 'e2']);
+
+  const sending = a.kit.flush(); // leases both events to tab a
+  await b.kit.flush(); // finds nothing it may send
+  assert.deepStrictEqual(log.sent, ['e1', 'e2']);
+
+  b.kit._enqueue({ id: 'e3', type: 'test' }); // arrives while tab a is still sending
+  release(true);
+  await sending;
+  assert.deepStrictEqual(JSON.parse(store.get(QUEUE_KEY)).map(it => it.id), ['e3']);
+  await b.kit.flush();
+  assert.deepStrictEqual(log.sent, ['e1', 'e2', 'e3']);
+  assert.deepStrictEqual(JSON.parse(store.get(QUEUE_KEY)), []);
+});
+
+test('a lease from a tab that went away expires', async () => {
+  const store = new Map();
+  const clock = createClock();
+  const a = createTab({ store, clock, config: CONSENT });
+  const b = createTab({ store, clock, config: CONSENT });
+  const log = { sent: [] };
+  a.kit.addDestination(collector(log, { send: () => new Promise(() => {}) })); // never settles
+  b.kit.addDestination(collector(log));
+  a.kit._enqueue({ id: 'e1', type: 'test' });
+  a.kit.flush();
+  await b.kit.flush();
+  assert.deepStrictEqual(log.sent, ['e1']);
+  clock.t += b.kit._config.delivery.leaseMs + 1;
+  await b.kit.flush();
+  assert.deepStrictEqual(log.sent, ['e1', 'e1']);
+  assert.strictEqual(b.kit._destinations.collector.queue.size(), 0);
+});
+
+test('ready() is only asked once something is due', async () => {
+  const { kit } = createTab({ config: CONSENT });
+  const log = { sent: [] };
+  kit.addDestination(collector(log));
+  await kit.flush();
+  assert.strictEqual(log.ready || 0, 0);
+  kit._enqueue({ id: 'e1', type: 'test' });
+  await kit.flush();
+  assert.strictEqual(log.ready, 1);
+  assert.deepStrictEqual(log.sent, ['e1']);
+});
+
+test('polling a destination that never gets ready stops after maxNotReadyPolls', async () => {
+  const { kit, clock } = createTab({ config: Object.assign({ delivery: { maxNotReadyPolls: 3 } }, CONSENT) });
+  const log = { sent: [] };
+  kit.addDestination(collector(log, { ready: () => false }));
+  kit._enqueue({ id: 'e1', type: 'test' });
+  for (let i = 0; i < 10; i++) {
+    clock.advance(kit._config.delivery.flushIntervalMs);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  assert.strictEqual(log.ready, 3);
+  assert.strictEqual(clock.timers.filter(x => x.at > clock.t && x.fn.toString().includes('flush')).length, 0);
+  kit._enqueue({ id: 'e2', type: 'test' }); // new work polls again
+  clock.advance(kit._config.delivery.flushIntervalMs);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(log.ready, 4);
+});
+
+test('the collector only hears about sharing being revoked, not declined or other changes', () => {
+  const calls = [];
+  const fetch = (url, init) => { calls.push(JSON.parse(init.body)); return Promise.resolve({ ok: true }); };
+  const { kit } = createTab({ config: { respectDoNotTrack: false }, fetch });
+  kit.addDestination(kit.destinations.http({ url: '/collect' }));
+  kit.setConsent({ analytics: false, personalization: false, sharing: false }); // first decline
+  kit.setConsent({ personalization: true });
+  assert.strictEqual(calls.length, 0);
+  kit.setConsent({ sharing: true });
+  kit.setConsent({ personalization: false });
+  assert.strictEqual(calls.length, 0);
+  kit.setConsent({ sharing: false });
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].consent.sharing, false);
+});
+
+test('the outbox lives in the configured storage, or localStorage when that is async', async () => {
+  const items = new Map();
+  const sync = { getItem: k => items.has(k) ? items.get(k) : null, setItem: (k, v) => { items.set(k, v); }, removeItem: k => { items.delete(k); } };
+  const store = new Map();
+  const { kit } = createTab({ store, config: Object.assign({ storage: sync }, CONSENT) });
+  kit.addDestination(collector({ sent: [] }, { send: () => false }));
+  kit._enqueue({ id: 'e1', type: 'test' });
+  assert.deepStrictEqual(JSON.parse(items.get(QUEUE_KEY)).map(it => it.id), ['e1']);
+  assert.strictEqual(store.has(QUEUE_KEY), false);
+
+  const deferred = { getItem: k => Promise.resolve(sync.getItem(k)), setItem: (k, v) => Promise.resolve(sync.setItem(k, v)), removeItem: k => Promise.resolve(sync.removeItem(k)) };
+  const other = createTab({ store, config: Object.assign({ storage: deferred }, CONSENT) });
+  other.kit.addDestination(collector({ sent: [] }, { send: () => false }));
+  other.kit._enqueue({ id: 'e2', type: 'test' });
+  assert.deepStrictEqual(JSON.parse(store.get(QUEUE_KEY)).map(it => it.id), ['e2']);
+});
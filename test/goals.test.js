@@ -0,0 +1,102 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCore } = require('../interest-kit-core.js');
+const { createTab, createClock } = require('./helpers/browser.js');
+
+const CONSENT = { consent: { analytics: true, personalization: true, sharing: false }, storageFlushMs: 0 };
+const FUNNELS = [{ id: 'order', steps: [{ event: 'record' }, { goal: 'add_to_cart' }] }];
+const HOUR = 60 * 60 * 1000;
+
+function kit(clock, config){
+  return createCore({ now: () => clock.t, config: Object.assign({ storageFlushMs: 0 }, config) });
+}
+
+// Dessert click, a search for ramen, a click on the recommended ramen, then an order worth 10; an hour apart
+function journey(){
+  const clock = { t: 24 * HOUR };
+  const k = kit(clock, { attribution: { halfLifeMs: HOUR } });
+  k.registerCatalog([{ id: 'tiramisu', title: 'Tiramisu', category: 'Desserts' }, { id: 'ramen', title: 'Ramen', category: 'Japanese' }]);
+  k.record({ bucket: 'items', key: 'tiramisu' });
+  clock.t += HOUR;
+  k.trackSearch('ramen');
+  clock.t += HOUR;
+  k.markShown(['ramen']);
+  k.record({ bucket: 'items', key: 'ramen' });
+  clock.t += HOUR;
+  k.trackConversion('add_to_cart', { value: 10 });
+  return k;
+}
+const credits = (rows) => rows.map(r => [r.key, r.credit, r.value]);
+
+function page(store, clock, name){
+  return createTab({ store, clock, config: Object.assign({ pageScope: name, funnels: FUNNELS }, CONSENT) });
+}
+
+test('goals, touches and funnels stay per page under pageScope', () => {
+  const store = new Map();
+  const clock = createClock();
+  const a = page(store, clock, 'a');
+  a.kit.record({ bucket: 'items', key: 'tiramisu' });
+  a.kit.trackConversion('add_to_cart');
+  clock.advance(1000); // flushes tab a's profiles
+  const b = page(store, clock, 'b');
+  b.kit.record({ bucket: 'items', key: 'ramen' });
+  b.kit.trackConversion('add_to_cart');
+
+  const site = b.kit._storage.scope('site').get().goals;
+  const pageB = b.kit._storage.scope('page').get().goals;
+  assert.strictEqual(site.totals.add_to_cart.count, 2);
+  assert.strictEqual(pageB.totals.add_to_cart.count, 1);
+  assert.deepStrictEqual(site.conversions.map(c => c.touches.map(x => x.key)), [['tiramisu'], ['tiramisu', 'ramen']]);
+  assert.deepStrictEqual(pageB.conversions.map(c => c.touches.map(x => x.key)), [['ramen']]);
+  assert.deepStrictEqual(pageB.touches.map(x => x.key), ['ramen']);
+  assert.deepStrictEqual(Array.from(site.funnels.order.reached), [2, 2]);
+  assert.deepStrictEqual(Array.from(pageB.funnels.order.reached), [1, 1]);
+  assert.strictEqual(pageB.funnels.order.completions, 1);
+});
+
+test('first-touch and last-touch give the whole conversion to one touch', () => {
+  const k = journey();
+  const first = k.getAttribution({ model: 'first-touch' });
+  assert.deepStrictEqual([first.conversions, first.value, first.unattributed], [1, 10, 0]);
+  assert.deepStrictEqual(credits(first.items), [['tiramisu', 1, 10]]);
+  assert.deepStrictEqual(credits(first.categories), [['Desserts', 1, 10]]);
+  assert.deepStrictEqual(first.searches, []);
+  const last = k.getAttribution();
+  assert.strictEqual(last.model, 'last-touch');
+  assert.deepStrictEqual(credits(last.items), [['ramen', 1, 10]]);
+  assert.deepStrictEqual(credits(last.categories), [['Japanese', 1, 10]]);
+  assert.deepStrictEqual(credits(last.recommendations), [['ramen', 1, 10]]);
+});
+
+test('linear splits a conversion evenly and time-decay favours recent touches', () => {
+  const k = journey();
+  const linear = k.getAttribution({ model: 'linear' });
+  assert.deepStrictEqual(credits(linear.items), [['tiramisu', 0.33, 3.33], ['ramen', 0.33, 3.33]]);
+  assert.deepStrictEqual(credits(linear.searches), [['ramen', 0.33, 3.33]]);
+  const decay = k.getAttribution({ model: 'time-decay' }); // touches 3h, 2h and 1h old: 1/7, 2/7, 4/7
+  assert.deepStrictEqual(credits(decay.items), [['ramen', 0.57, 5.71], ['tiramisu', 0.14, 1.43]]);
+  assert.deepStrictEqual(credits(decay.searches), [['ramen', 0.29, 2.86]]);
+});
+
+test('funnel steps advance in order and restart after the window', () => {
+  const clock = { t: 24 * HOUR };
+  const k = kit(clock, { funnels: [{ id: 'order', label: 'Order', steps: [{ event: 'view' }, { event: 'click' }, { goal: 'add_to_cart' }], windowMs: 30 * 60 * 1000 }] });
+  const steps = [];
+  k.on('funnelStep', e => steps.push([e.step, e.label, e.completed]));
+  k.record({ bucket: 'items', key: 'tiramisu', meta: { event: 'view' } });
+  k.record({ bucket: 'items', key: 'tiramisu', meta: { event: 'click' } });
+  k.trackConversion('add_to_cart');
+  assert.deepStrictEqual(steps, [[1, 'view', false], [2, 'click', false], [3, 'goal add_to_cart', true]]);
+  k.record({ bucket: 'items', key: 'ramen', meta: { event: 'view' } });
+  clock.t += HOUR; // the window ran out, so this click does not continue the funnel
+  k.record({ bucket: 'items', key: 'ramen', meta: { event: 'click' } });
+  const report = k.getFunnelReport('order');
+  assert.deepStrictEqual([report.funnel, report.label, report.completions, report.conversionRate], ['order', 'Order', 1, 0.5]);
+  assert.deepStrictEqual(report.steps.map(x => [x.step, x.label, x.reached, x.rate, x.overall]), [
+    [1, 'view', 2, 1, 1],
+    [2, 'click', 1, 0.5, 0.5],
+    [3, 'goal add_to_cart', 1, 1, 0.5]
+  ]);
+});
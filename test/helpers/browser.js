@@ -0,0 +1,68 @@
+'use strict';
+// Loads the browser build into a minimal fake window. Tabs created with the same
+// `store` share localStorage; timers only run when the test advances the clock.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SOURCES = ['interest-kit-core.js', 'interest-kit.js'].map(f => fs.readFileSync(path.join(ROOT, f), 'utf8'));
+
+function createClock(start){
+  const clock = { t: start || 1e12, timers: [], seq: 0 };
+  clock.setTimeout = (fn, ms) => { const id = ++clock.seq; clock.timers.push({ id, at: clock.t + (ms || 0), fn }); return id; };
+  clock.clearTimeout = id => { clock.timers = clock.timers.filter(x => x.id !== id); };
+  clock.advance = ms => {
+    const end = clock.t + ms;
+    for (;;) {
+      const next = clock.timers.filter(x => x.at <= end).sort((a, b) => a.at - b.at)[0];
+      if (!next) break;
+      clock.timers = clock.timers.filter(x => x !== next);
+      clock.t = Math.max(clock.t, next.at);
+      next.fn();
+    }
+    clock.t = end;
+  };
+  return clock;
+}
+
+function createTab(options){
+  const opts = options || {};
+  const store = opts.store || new Map();
+  const clock = opts.clock || createClock();
+  class FakeDate extends Date { static now(){ return clock.t; } }
+  const listeners = {};
+  const win = {
+    console, Math, JSON, Promise, Blob, URL, URLSearchParams,
+    Date: FakeDate,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    localStorage: {
+      getItem: k => store.has(k) ? store.get(k) : null,
+      setItem: (k, v) => store.set(k, String(v)),
+      removeItem: k => store.delete(k),
+      key: i => [...store.keys()][i],
+      get length(){ return store.size; }
+    },
+    addEventListener: (type, fn) => { (listeners[type] = listeners[type] || []).push(fn); },
+    removeEventListener(){},
+    dispatch: (type, e) => (listeners[type] || []).forEach(fn => fn(e || { type })),
+    navigator: { onLine: true, sendBeacon: opts.sendBeacon },
+    location: { hash: '', search: '', pathname: '/food.html', href: 'http://localhost/food.html' },
+    fetch: opts.fetch,
+    document: {
+      title: 'Test', readyState: 'complete', visibilityState: 'visible', documentElement: {},
+      querySelectorAll: () => [], querySelector: () => null, addEventListener(){},
+      head: { appendChild(){} }, body: { appendChild(){} },
+      createElement: () => ({ style: {}, setAttribute(){}, appendChild(){}, addEventListener(){} })
+    },
+    INTEREST_KIT_CONFIG: Object.assign({ salesforce: false }, opts.config)
+  };
+  win.window = win;
+  win.globalThis = win;
+  vm.createContext(win);
+  SOURCES.forEach(src => vm.runInContext(src, win));
+  return { win, store, clock, kit: win.InterestKit };
+}
+
+module.exports = { createTab, createClock };
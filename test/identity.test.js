@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTab } = require('./helpers/browser.js');
+
+const CONSENT = { consent: { analytics: true, personalization: true, sharing: false }, pageScope: true, storageFlushMs: 0 };
+
+test('site and page profiles share one anonymous id', () => {
+  const { kit } = createTab({ config: CONSENT });
+  kit.record({ bucket: 'items', key: 'tiramisu' });
+  const ids = kit._storage.scopes().map(name => kit._storage.scope(name).get().identity.anonymousId);
+  assert.strictEqual(ids.length, 2);
+  assert.strictEqual(ids[0], ids[1]);
+  assert.strictEqual(kit.getIdentity().anonymousId, ids[0]);
+});
+
+test('trackSearch reports the query session stored in every scope', () => {
+  const { kit } = createTab({ config: CONSENT });
+  const event = kit.trackSearch('vegan ramen');
+  kit._storage.scopes().forEach(name => {
+    const sessions = kit._storage.scope(name).get().searches.sessions;
+    assert.strictEqual(sessions[sessions.length - 1].id, event.sessionId);
+  });
+});
+
+test('getIdentity does not extend or start a session', () => {
+  const { kit, clock } = createTab({ config: CONSENT });
+  kit.record({ bucket: 'items', key: 'tiramisu' });
+  const session = Object.assign({}, kit.data().session);
+  clock.t += 60 * 1000;
+  assert.strictEqual(kit.getIdentity().sessionId, session.id);
+  assert.deepStrictEqual(Object.assign({}, kit.data().session), session);
+  clock.t += kit._config.sessionTimeoutMs + 1;
+  assert.strictEqual(kit.getIdentity().sessionId, null);
+  assert.deepStrictEqual(Object.assign({}, kit.data().session), session);
+  kit.record({ bucket: 'items', key: 'brownies' });
+  assert.notStrictEqual(kit.getIdentity().sessionId, session.id);
+});
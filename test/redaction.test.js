@@ -0,0 +1,111 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCore, redactText, MemoryBackend, DEFAULT_CONFIG } = require('../interest-kit-core.js');
+const { createTab, createClock } = require('./helpers/browser.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const redact = (s) => redactText(s, DEFAULT_CONFIG.redaction).value;
+
+test('dates, times, ISBNs and timestamps are not phones or cards', () => {
+  assert.strictEqual(redact('order on 2024-05-01 10:30'), 'order on 2024-05-01 10:30');
+  assert.strictEqual(redact('isbn 9783161484100'), 'isbn 9783161484100');
+  assert.strictEqual(redact('978-3-16-148410-0'), '978-3-16-148410-0');
+  assert.strictEqual(redact('ts 1714560000000'), 'ts 1714560000000');
+  assert.strictEqual(redact('serves 123 456 789'), 'serves 123 456 789');
+});
+
+test('cards must pass the Luhn check', () => {
+  assert.strictEqual(redact('pay 4111 1111 1111 1111'), 'pay [card]');
+  assert.strictEqual(redact('pay 4111-1111-1111-1111'), 'pay [card]');
+  assert.strictEqual(redact('amex 3782 822463 10005'), 'amex [card]');
+  assert.strictEqual(redact('ref 4111111111111112'), 'ref 4111111111111112');
+});
+
+test('phones are written like phone numbers', () => {
+  assert.strictEqual(redact('call 555-123-4567'), 'call [phone]');
+  assert.strictEqual(redact('call (555) 123-4567 today'), 'call [phone] today');
+  assert.strictEqual(redact('+44 20 7946 0958'), '[phone]');
+  assert.strictEqual(redact('020 7946 0958'), '[phone]');
+  assert.strictEqual(redact('06 12 34 56 78'), '[phone]');
+});
+
+test('unbroken digit runs are phones unless they are cards, ISBNs, timestamps or date stamps', () => {
+  assert.strictEqual(redact('tel 0612345678'), 'tel [phone]');
+  assert.strictEqual(redact('+31612345678'), '[phone]');
+  assert.strictEqual(redact('order 5551234567'), 'order [phone]');
+  assert.strictEqual(redact('isbn 9780306406157'), 'isbn 9780306406157');
+  assert.strictEqual(redact('ts 1714560000'), 'ts 1714560000');
+  assert.strictEqual(redact('at 202405011030'), 'at 202405011030');
+  assert.strictEqual(redact('on 01.05.2024 10:30'), 'on 01.05.2024 10:30');
+});
+
+test('grouped numbers need a phone layout', () => {
+  assert.strictEqual(redact('zip 94105-1234'), 'zip 94105-1234');
+  assert.strictEqual(redact('sku 12-34567-890'), 'sku 12-34567-890');
+  assert.strictEqual(redact('1-800-555-0199'), '[phone]');
+  assert.strictEqual(redact('06-12345678'), '[phone]');
+});
+
+test('redact() leaves values alone when redaction is disabled', () => {
+  const on = createCore({ config: { storageFlushMs: 0 } });
+  const off = createCore({ config: { storageFlushMs: 0, redaction: { enabled: false } } });
+  assert.strictEqual(on.redact('call 555-123-4567'), 'call [phone]');
+  assert.strictEqual(off.redact('call 555-123-4567'), 'call 555-123-4567');
+});
+
+test('loading a v9 profile scrubs its keys, meta, queries and events', () => {
+  const backend = MemoryBackend();
+  const t = 10 * DAY;
+  backend.setItem('interestkit:data', JSON.stringify({
+    version: 9, scope: 'site', updatedAt: t,
+    buckets: { items: { 'call 555-123-4567': 2, 'call 555-987-6543': 1, '4111111111111111': 1, tiramisu: 3 } },
+    meta: { items: { 'call 555-123-4567': { lastSeenAt: t, note: 'from a.b@example.com' }, '4111111111111111': { lastSeenAt: t, token: true }, tiramisu: { lastSeenAt: t } } },
+    events: [
+      { ts: t, event: 'click', bucket: 'items', key: 'call 555-123-4567', weight: 1 },
+      { ts: t, event: 'token', bucket: 'items', key: '4111111111111111', weight: 1 },
+      { ts: t, event: 'click', bucket: 'items', key: 'tiramisu', weight: 1 }
+    ],
+    session: null, identity: null,
+    searches: {
+      queries: { 'pay 4111 1111 1111 1111': { query: 'pay 4111 1111 1111 1111', count: 1, results: 0, zeroResults: 1, clicks: 0, firstAt: t, lastAt: t } },
+      sessions: [{ id: 's1', startedAt: t, lastAt: t, queries: [{ query: 'pay 4111 1111 1111 1111', at: t, results: 0 }], clicks: [] }]
+    },
+    segments: {}, experiments: {},
+    goals: { totals: {}, touches: [{ at: t, kind: 'item', bucket: 'items', key: 'call 555-123-4567' }], conversions: [], funnels: {} },
+    redactions: { counts: {}, fields: {}, lastAt: null }
+  }));
+  const k = createCore({ now: () => t, config: { storage: backend, storageFlushMs: 0 } });
+  const data = k.data();
+  assert.strictEqual(data.version, 10);
+  assert.deepStrictEqual(data.buckets.items, { 'call [phone]': 3, tiramisu: 3 });
+  assert.strictEqual(data.meta.items['call [phone]'].note, 'from [email]');
+  assert.deepStrictEqual(data.events.map(e => e.key), ['call [phone]', 'tiramisu']);
+  assert.deepStrictEqual(Object.keys(data.searches.queries), ['pay [card]']);
+  assert.strictEqual(data.searches.sessions[0].queries[0].query, 'pay [card]');
+  assert.strictEqual(data.goals.touches[0].key, 'call [phone]');
+  assert.deepStrictEqual(data.redactions.counts, { phone: 2, card: 2, email: 1 });
+  assert.deepStrictEqual(data.redactions.fields, { key: 3, meta: 1, query: 1 });
+});
+
+test('events queued before redaction are scrubbed when the destination is added', () => {
+  const store = new Map();
+  const queueKey = 'interestkit:data:queue:collector';
+  const event = (id, key, meta) => ({ id, event: { id, type: 'engagement', key, title: key, meta }, attempts: 0, nextAttemptAt: 0 });
+  store.set(queueKey, JSON.stringify([
+    event('e1', 'call 555-123-4567', { note: 'a.b@example.com', tags: ['4111 1111 1111 1111'] }),
+    event('e2', 'token=abc', {}),
+    event('e3', 'tiramisu', {})
+  ]));
+  const tab = createTab({
+    store,
+    clock: createClock(),
+    config: { consent: { analytics: true, personalization: true, sharing: true }, respectDoNotTrack: false, redaction: { deny: ['token=abc'] } }
+  });
+  tab.kit.addDestination({ name: 'collector', send: () => true });
+  const queued = JSON.parse(store.get(queueKey)).map(it => it.event);
+  assert.deepStrictEqual(queued.map(e => e.id), ['e1', 'e3']);
+  assert.strictEqual(queued[0].key, 'call [phone]');
+  assert.strictEqual(queued[0].title, 'call [phone]');
+  assert.deepStrictEqual(queued[0].meta, { note: '[email]', tags: ['[card]'] });
+});